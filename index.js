@@ -6,4 +6,14 @@ const PORT = process.env.PORT || 4000;
 
 app.listen(PORT, () => {
   console.log(`GlowbookAPI server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Reminders, waitlist offer expiry and scheduled campaigns normally run in their own process (reminder-worker.js)
+if (process.env.RUN_REMINDERS_IN_PROCESS === 'true') {
+  require('./src/services/reminder.service').start();
+  require('./src/services/waitlist.service').start();
+  require('./src/services/campaign.service').start();
+}
+
+// Queued WhatsApp notifications are sent from the API process so they go out right after the request
+require('./src/services/outboundQueue.service').start();
@@ -0,0 +1,19 @@
+// Entry point for the background worker: appointment reminders, expiring waitlist offers
+// and scheduled campaigns
+// Run it alongside the API (npm run reminders), or set RUN_REMINDERS_IN_PROCESS=true
+// to have index.js start the schedulers inside the API process instead
+require('dotenv').config();
+const reminderService = require('./src/services/reminder.service');
+const waitlistService = require('./src/services/waitlist.service');
+const campaignService = require('./src/services/campaign.service');
+
+reminderService.start();
+waitlistService.start();
+campaignService.start();
+
+process.on('SIGTERM', () => {
+  reminderService.stop();
+  waitlistService.stop();
+  campaignService.stop();
+  process.exit(0);
+});
@@ -7,6 +7,10 @@ const authRoutes = require('./routes/auth.routes');
 const profileRoutes = require('./routes/profile.routes');
 const appointmentRoutes = require('./routes/appointment.routes');
 const customerRoutes = require('./routes/customer.routes');
+const waitlistRoutes = require('./routes/waitlist.routes');
+const conversationRoutes = require('./routes/conversation.routes');
+const campaignRoutes = require('./routes/campaign.routes');
+const feedbackRoutes = require('./routes/feedback.routes');
 const adminRoutes = require('./routes/admin.routes');
 const webhookRoutes = require('./routes/webhook.routes');
 
@@ -26,10 +30,14 @@ app.use('/api/auth', express.json(), express.urlencoded({ extended: true }), aut
 app.use('/api/profile', express.json(), express.urlencoded({ extended: true }), profileRoutes);
 app.use('/api/appointments', express.json(), express.urlencoded({ extended: true }), appointmentRoutes);
 app.use('/api/customers', express.json(), express.urlencoded({ extended: true }), customerRoutes);
+app.use('/api/waitlist', express.json(), express.urlencoded({ extended: true }), waitlistRoutes);
+app.use('/api/conversations', express.json(), express.urlencoded({ extended: true }), conversationRoutes);
+app.use('/api/campaigns', express.json(), express.urlencoded({ extended: true }), campaignRoutes);
+app.use('/api/feedback', express.json(), express.urlencoded({ extended: true }), feedbackRoutes);
 app.use('/api/admin', express.json(), express.urlencoded({ extended: true }), adminRoutes);
 
 // Special handling for webhook routes - NO body parser middleware here
-// The webhook routes itself will handle JSON parsing as needed
+// The webhook routes parse JSON themselves and keep the raw body to check the signature
 app.use('/api/webhook', webhookRoutes);
 
 // Health check route
@@ -1,4 +1,8 @@
 const { db, auth, firebaseAdmin } = require('../utils/firebase');
+const parlourDirectory = require('../services/parlourDirectory.service');
+const whatsappAccounts = require('../services/whatsappAccount.service');
+const templateRegistry = require('../services/templateRegistry.service');
+const outboundQueue = require('../services/outboundQueue.service');
 
 /**
  * Admin Controller for Superadmin operations
@@ -344,6 +348,354 @@ class AdminController {
       });
     }
   }
+  /**
+   * Get all WhatsApp phone number id bindings
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getWhatsAppNumbers(req, res) {
+    try {
+      const snapshot = await db.collection('whatsappNumbers').get();
+
+      const numbers = [];
+      snapshot.forEach(doc => {
+        numbers.push({
+          phoneNumberId: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: numbers
+      });
+    } catch (error) {
+      console.error('Get WhatsApp numbers error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get WhatsApp numbers'
+      });
+    }
+  }
+
+  /**
+   * Bind a WhatsApp phone number id to a parlour
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async bindWhatsAppNumber(req, res) {
+    try {
+      const { phoneNumberId, parlourId, displayNumber } = req.body;
+
+      // Validate required fields
+      if (!phoneNumberId || !parlourId) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Phone number ID and parlour ID are required'
+        });
+      }
+
+      const formattedDisplayNumber = displayNumber
+        ? (displayNumber.startsWith('+') ? displayNumber : `+${displayNumber}`)
+        : null;
+
+      const mappingRef = db.collection('whatsappNumbers').doc(phoneNumberId);
+      const profileRef = db.collection('businessProfiles').doc(parlourId);
+
+      // Read and write in one transaction so an id can never be bound twice
+      const result = await db.runTransaction(async (transaction) => {
+        const mappingDoc = await transaction.get(mappingRef);
+        const profileDoc = await transaction.get(profileRef);
+
+        if (!profileDoc.exists) {
+          return { error: 'notFound' };
+        }
+
+        if (mappingDoc.exists && mappingDoc.data().parlourId !== parlourId) {
+          return { error: 'conflict', boundTo: mappingDoc.data().parlourId };
+        }
+
+        // A parlour has one number, so release any id it was bound to before
+        const previousPhoneNumberId = profileDoc.data().whatsappPhoneNumberId;
+        if (previousPhoneNumberId && previousPhoneNumberId !== phoneNumberId) {
+          transaction.delete(db.collection('whatsappNumbers').doc(previousPhoneNumberId));
+        }
+
+        const now = new Date().toISOString();
+
+        transaction.set(mappingRef, {
+          parlourId,
+          displayNumber: formattedDisplayNumber,
+          boundAt: mappingDoc.exists ? mappingDoc.data().boundAt : now,
+          updatedAt: now
+        });
+
+        transaction.update(profileRef, {
+          whatsappPhoneNumberId: phoneNumberId,
+          whatsappDisplayNumber: formattedDisplayNumber,
+          updatedAt: now
+        });
+
+        return { previousPhoneNumberId };
+      });
+
+      if (result.error === 'notFound') {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Business profile not found'
+        });
+      }
+
+      if (result.error === 'conflict') {
+        return res.status(409).json({
+          status: 'error',
+          message: 'This WhatsApp phone number ID is already bound to another parlour',
+          data: { parlourId: result.boundTo }
+        });
+      }
+
+      parlourDirectory.invalidatePhoneNumberId(phoneNumberId);
+      if (result.previousPhoneNumberId) {
+        parlourDirectory.invalidatePhoneNumberId(result.previousPhoneNumberId);
+      }
+      whatsappAccounts.invalidateParlour(parlourId);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'WhatsApp number bound successfully',
+        data: {
+          phoneNumberId,
+          parlourId,
+          displayNumber: formattedDisplayNumber
+        }
+      });
+    } catch (error) {
+      console.error('Bind WhatsApp number error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to bind WhatsApp number'
+      });
+    }
+  }
+
+  /**
+   * Unbind a WhatsApp phone number id from its parlour
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async unbindWhatsAppNumber(req, res) {
+    try {
+      const { phoneNumberId } = req.params;
+
+      const mappingRef = db.collection('whatsappNumbers').doc(phoneNumberId);
+
+      const parlourId = await db.runTransaction(async (transaction) => {
+        const mappingDoc = await transaction.get(mappingRef);
+
+        if (!mappingDoc.exists) {
+          return null;
+        }
+
+        const profileRef = db.collection('businessProfiles').doc(mappingDoc.data().parlourId);
+        const profileDoc = await transaction.get(profileRef);
+
+        transaction.delete(mappingRef);
+
+        if (profileDoc.exists && profileDoc.data().whatsappPhoneNumberId === phoneNumberId) {
+          transaction.update(profileRef, {
+            whatsappPhoneNumberId: firebaseAdmin.firestore.FieldValue.delete(),
+            whatsappDisplayNumber: firebaseAdmin.firestore.FieldValue.delete(),
+            updatedAt: new Date().toISOString()
+          });
+        }
+
+        return mappingDoc.data().parlourId;
+      });
+
+      if (!parlourId) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'WhatsApp number binding not found'
+        });
+      }
+
+      parlourDirectory.invalidatePhoneNumberId(phoneNumberId);
+      whatsappAccounts.invalidateParlour(parlourId);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'WhatsApp number unbound successfully'
+      });
+    } catch (error) {
+      console.error('Unbind WhatsApp number error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to unbind WhatsApp number'
+      });
+    }
+  }
+
+  /**
+   * Get every WhatsApp template, built-in and registered
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getTemplates(req, res) {
+    try {
+      const templates = await templateRegistry.listTemplates();
+
+      return res.status(200).json({
+        status: 'success',
+        data: templates
+      });
+    } catch (error) {
+      console.error('Get templates error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get templates'
+      });
+    }
+  }
+
+  /**
+   * Register a WhatsApp template, or replace a built-in one
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async saveTemplate(req, res) {
+    try {
+      const { key } = req.params;
+
+      if (!/^[a-z0-9_]+$/.test(key)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Template key must use lowercase letters, numbers and underscores'
+        });
+      }
+
+      const validationError = templateRegistry.validateDefinition(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          status: 'error',
+          message: validationError
+        });
+      }
+
+      const template = await templateRegistry.saveTemplate(key, req.body);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Template saved successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error('Save template error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to save template'
+      });
+    }
+  }
+
+  /**
+   * Remove a registered template; built-in templates go back to their defaults
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const { key } = req.params;
+
+      const deleted = await templateRegistry.deleteTemplate(key);
+
+      if (!deleted) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Template not found in the registry'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Template removed successfully'
+      });
+    } catch (error) {
+      console.error('Delete template error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to remove template'
+      });
+    }
+  }
+
+  /**
+   * Get outbound queue jobs, dead-lettered ones by default
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getOutboundJobs(req, res) {
+    try {
+      const { status = 'dead', parlourId } = req.query;
+
+      let query = db.collection('outboundQueue').where('status', '==', status);
+
+      if (parlourId) {
+        query = query.where('parlourId', '==', parlourId);
+      }
+
+      const snapshot = await query.orderBy('updatedAt', 'desc').limit(100).get();
+
+      const jobs = [];
+      snapshot.forEach(doc => {
+        jobs.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: jobs
+      });
+    } catch (error) {
+      console.error('Get outbound jobs error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get outbound jobs'
+      });
+    }
+  }
+
+  /**
+   * Put a dead-lettered outbound job back in the queue
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async retryOutboundJob(req, res) {
+    try {
+      const { id } = req.params;
+
+      const requeued = await outboundQueue.retryDeadJob(id);
+
+      if (!requeued) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Dead-lettered job not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Job queued for another attempt'
+      });
+    } catch (error) {
+      console.error('Retry outbound job error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to retry outbound job'
+      });
+    }
+  }
 }
 
 module.exports = new AdminController();
\ No newline at end of file
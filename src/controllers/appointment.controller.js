@@ -1,5 +1,104 @@
 const { db } = require('../utils/firebase');
+const outboundMessageService = require('../services/outboundMessage.service');
 const whatsappService = require('../services/whatsapp.service');
+const outboundQueue = require('../services/outboundQueue.service');
+const availabilityService = require('../services/availability.service');
+const bookingService = require('../services/booking.service');
+const waitlistService = require('../services/waitlist.service');
+const feedbackService = require('../services/feedback.service');
+
+/**
+ * Send the error response for a booking the slot check rejected
+ * @param {object} res - Express response object
+ * @param {object} result - Result from bookingService
+ */
+function sendBookingRejection(res, result) {
+  if (result.invalidTime) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid appointment time'
+    });
+  }
+
+  if (result.invalidStaff) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'No active staff member performs this service'
+    });
+  }
+
+  if (result.outsideHours) {
+    return res.status(409).json({
+      status: 'error',
+      message: 'Appointment is outside working hours'
+    });
+  }
+
+  return res.status(409).json({
+    status: 'error',
+    message: 'Appointment overlaps existing bookings',
+    data: {
+      conflicts: result.conflicts
+    }
+  });
+}
+
+/**
+ * Offer a cancelled appointment's slot to the waitlist
+ * Failures are logged so they never fail the cancellation itself.
+ * @param {string} parlourId - Parlour ID
+ * @param {object} appointment - Cancelled appointment data
+ */
+async function offerToWaitlist(parlourId, appointment) {
+  try {
+    await waitlistService.offerFreedSlot(parlourId, appointment);
+  } catch (waitlistError) {
+    console.error('Waitlist offer error:', waitlistError);
+  }
+}
+
+/**
+ * Ask the customer to rate an appointment that was just completed
+ * Failures are logged so they never fail the status change itself.
+ * @param {string} parlourId - Parlour ID
+ * @param {string} appointmentId - Appointment ID
+ * @param {object} appointment - Completed appointment data
+ * @param {object} businessProfile - Business profile data
+ */
+async function requestFeedback(parlourId, appointmentId, appointment, businessProfile) {
+  try {
+    await feedbackService.request(parlourId, appointmentId, appointment, businessProfile);
+  } catch (feedbackError) {
+    console.error('Feedback request error:', feedbackError);
+  }
+}
+
+/**
+ * Queue a message telling a customer their appointment was cancelled
+ * Outside the 24-hour window the approved cancellation template goes out instead of text.
+ * @param {string} parlourId - Parlour ID
+ * @param {string} appointmentId - Appointment ID
+ * @param {object} appointment - Appointment data
+ * @param {object} businessProfile - Business profile data
+ * @returns {Promise<string>} - Outbound queue job ID
+ */
+function sendCancellationNotice(parlourId, appointmentId, appointment, businessProfile) {
+  return outboundQueue.enqueue(parlourId, 'sendNotification', [
+    appointment.customerPhone,
+    `Your appointment for ${appointment.serviceName} on ${appointment.appointmentDate} at ${appointment.appointmentTime} has been cancelled. Please contact us for more information.`,
+    {
+      key: 'appointment_cancellation',
+      params: {
+        customerName: appointment.customerName,
+        serviceName: appointment.serviceName,
+        date: whatsappService.formatDateForDisplay(appointment.appointmentDate),
+        time: appointment.appointmentTime,
+        businessPhone: businessProfile.phone || businessProfile.whatsappNumber
+      }
+    },
+    { appointmentId, parlourId, kind: 'cancellation' }
+  ]);
+}
 
 /**
  * Appointment Controller
@@ -13,7 +112,7 @@ class AppointmentController {
   async getAppointments(req, res) {
     try {
       const { uid } = req.user;
-      const { status, date, customerId } = req.query;
+      const { status, date, customerId, staffId, referenceCode } = req.query;
 
       // Build query
       let query = db.collection('appointments').where('parlourId', '==', uid);
@@ -24,21 +123,24 @@ class AppointmentController {
       }
 
       if (date) {
-        // Convert date string to start and end of day
-        const startDate = new Date(date);
-        startDate.setHours(0, 0, 0, 0);
-
-        const endDate = new Date(date);
-        endDate.setHours(23, 59, 59, 999);
-
-        query = query.where('appointmentDate', '>=', startDate.toISOString())
-                     .where('appointmentDate', '<=', endDate.toISOString());
+        // Matches both YYYY-MM-DD dates and older full ISO timestamps
+        const day = availabilityService.normalizeDate(date);
+        query = query.where('appointmentDate', '>=', day)
+                     .where('appointmentDate', '<=', `${day}\uf8ff`);
       }
 
       if (customerId) {
         query = query.where('customerId', '==', customerId);
       }
 
+      if (staffId) {
+        query = query.where('staffId', '==', staffId);
+      }
+
+      if (referenceCode) {
+        query = query.where('referenceCode', '==', referenceCode.toUpperCase());
+      }
+
       // Order by date/time
       query = query.orderBy('appointmentDate', 'asc')
                    .orderBy('appointmentTime', 'asc');
@@ -68,6 +170,92 @@ class AppointmentController {
     }
   }
 
+  /**
+   * Get free slots for a service
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getAvailability(req, res) {
+    try {
+      const { uid } = req.user;
+      const { serviceId, date, days = 1, staffId } = req.query;
+
+      // Validate required fields
+      if (!serviceId || !date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Service ID and date (YYYY-MM-DD) are required'
+        });
+      }
+
+      const dayCount = Math.min(Math.max(parseInt(days, 10) || 1, 1), 31);
+
+      // Get profile document
+      const profileDoc = await db.collection('businessProfiles').doc(uid).get();
+
+      if (!profileDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Business profile not found, create a profile first'
+        });
+      }
+
+      const businessProfile = profileDoc.data();
+      const service = (businessProfile.services || []).find(s => s.id === serviceId);
+
+      if (!service) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Service not found'
+        });
+      }
+
+      if (staffId && !(businessProfile.staff || []).some(member => member.id === staffId)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Staff member not found'
+        });
+      }
+
+      const availability = await availabilityService.getAvailabilityForDays(
+        uid,
+        businessProfile,
+        service,
+        date,
+        dayCount,
+        { staffId }
+      );
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          serviceId,
+          serviceName: service.name,
+          duration: service.duration,
+          staffId: staffId || null,
+          availability: availability.map(day => ({
+            date: day.date,
+            slots: day.slots.map(slot => slot.time),
+            // Free times per stylist, empty for parlours without staff
+            byStaff: day.slots.reduce((byStaff, slot) => {
+              slot.staffIds.forEach(id => {
+                byStaff[id] = byStaff[id] || [];
+                byStaff[id].push(slot.time);
+              });
+              return byStaff;
+            }, {})
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Get availability error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get availability'
+      });
+    }
+  }
+
   /**
    * Get a single appointment
    * @param {object} req - Express request object
@@ -114,6 +302,49 @@ class AppointmentController {
     }
   }
 
+  /**
+   * Get WhatsApp messages sent for an appointment with their delivery status
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getAppointmentMessages(req, res) {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+
+      // Get appointment document
+      const appointmentDoc = await db.collection('appointments').doc(id).get();
+
+      if (!appointmentDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Appointment not found'
+        });
+      }
+
+      // Check if the appointment belongs to this parlour
+      if (appointmentDoc.data().parlourId !== uid) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied to this appointment'
+        });
+      }
+
+      const messages = await outboundMessageService.getMessagesForAppointment(id);
+
+      return res.status(200).json({
+        status: 'success',
+        data: messages
+      });
+    } catch (error) {
+      console.error('Get appointment messages error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get appointment messages'
+      });
+    }
+  }
+
   /**
    * Create a new appointment
    * @param {object} req - Express request object
@@ -128,6 +359,7 @@ class AppointmentController {
         customerPhone,
         serviceId,
         serviceName,
+        staffId,
         appointmentDate,
         appointmentTime,
         duration,
@@ -148,6 +380,15 @@ class AppointmentController {
         ? customerPhone 
         : `+${customerPhone}`;
 
+      const normalizedDate = availabilityService.normalizeDate(appointmentDate);
+
+      if (!normalizedDate) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid appointment date'
+        });
+      }
+
       // Check if the business profile exists
       const profileDoc = await db.collection('businessProfiles').doc(uid).get();
       
@@ -167,7 +408,8 @@ class AppointmentController {
         customerPhone: formattedPhone,
         serviceId: serviceId || null,
         serviceName,
-        appointmentDate,
+        staffId: staffId || null, // Assigned to the first free stylist if not given
+        appointmentDate: normalizedDate,
         appointmentTime,
         duration: duration || 60, // Default 60 minutes if not specified
         price: price || 0,
@@ -177,25 +419,32 @@ class AppointmentController {
         updatedAt: new Date().toISOString()
       };
 
-      // Save to Firestore
-      const appointmentRef = await db.collection('appointments').add(appointmentData);
+      // Save to Firestore, unless the slot is taken or outside working hours
+      const result = await bookingService.createAppointment(profileDoc.data(), appointmentData);
+
+      if (!result.appointmentId) {
+        return sendBookingRejection(res, result);
+      }
 
-      // Send WhatsApp confirmation if a phone number is provided
+      // Queue a WhatsApp confirmation if a phone number is provided
       try {
         if (formattedPhone) {
-          await whatsappService.sendAppointmentConfirmation(
-            formattedPhone, 
+          await outboundQueue.enqueue(uid, 'sendAppointmentConfirmation', [
+            formattedPhone,
             {
+              appointmentId: result.appointmentId,
+              referenceCode: result.referenceCode,
+              parlourId: uid,
               customerName,
               serviceName,
-              date: appointmentDate,
+              date: normalizedDate,
               time: appointmentTime
             }
-          );
+          ]);
         }
       } catch (whatsappError) {
         console.error('WhatsApp notification error:', whatsappError);
-        // Continue even if WhatsApp notification fails
+        // The appointment is saved either way
       }
 
       // Return success response
@@ -203,8 +452,11 @@ class AppointmentController {
         status: 'success',
         message: 'Appointment created successfully',
         data: {
-          id: appointmentRef.id,
-          ...appointmentData
+          id: result.appointmentId,
+          ...appointmentData,
+          referenceCode: result.referenceCode,
+          staffId: result.staffId,
+          staffName: result.staffName
         }
       });
     } catch (error) {
@@ -229,6 +481,7 @@ class AppointmentController {
         customerName,
         customerPhone,
         serviceName,
+        staffId,
         appointmentDate,
         appointmentTime,
         duration,
@@ -271,41 +524,89 @@ class AppointmentController {
           : `+${customerPhone}`;
       }
       if (serviceName) updateData.serviceName = serviceName;
-      if (appointmentDate) updateData.appointmentDate = appointmentDate;
+      // null hands the appointment to whichever stylist is free
+      if (staffId !== undefined) updateData.staffId = staffId || null;
+      if (appointmentDate) {
+        updateData.appointmentDate = availabilityService.normalizeDate(appointmentDate);
+
+        if (!updateData.appointmentDate) {
+          return res.status(400).json({
+            status: 'error',
+            message: 'Invalid appointment date'
+          });
+        }
+      }
       if (appointmentTime) updateData.appointmentTime = appointmentTime;
       if (duration) updateData.duration = duration;
       if (price !== undefined) updateData.price = price;
       if (notes !== undefined) updateData.notes = notes;
-      if (status) updateData.status = status;
+      if (status && status !== appointment.status) {
+        Object.assign(updateData, bookingService.statusChange(appointment.status, status, {
+          role: 'owner',
+          id: uid,
+          channel: 'api'
+        }));
+      }
 
-      // Update in Firestore
-      await appointmentRef.update(updateData);
+      // Update in Firestore, re-checking the slot if the appointment moved
+      const profileDoc = await db.collection('businessProfiles').doc(uid).get();
+      const result = await bookingService.updateAppointment(
+        profileDoc.exists ? profileDoc.data() : {},
+        id,
+        appointment,
+        updateData
+      );
+
+      if (!result.appointmentId) {
+        return sendBookingRejection(res, result);
+      }
 
-      // Send WhatsApp notification for status change if applicable
+      // Queue a WhatsApp notification for status change if applicable
       if (status && status !== appointment.status && appointment.customerPhone) {
         try {
           if (status === 'confirmed') {
-            await whatsappService.sendAppointmentConfirmation(
+            await outboundQueue.enqueue(uid, 'sendAppointmentConfirmation', [
               appointment.customerPhone,
               {
+                appointmentId: id,
+                referenceCode: appointment.referenceCode,
+                parlourId: uid,
                 customerName: appointment.customerName,
                 serviceName: appointment.serviceName,
                 date: updateData.appointmentDate || appointment.appointmentDate,
                 time: updateData.appointmentTime || appointment.appointmentTime
               }
-            );
+            ]);
           } else if (status === 'cancelled') {
-            await whatsappService.sendTextMessage(
-              appointment.customerPhone,
-              `Your appointment for ${appointment.serviceName} on ${appointment.appointmentDate} at ${appointment.appointmentTime} has been cancelled. Please contact us for more information.`
+            await sendCancellationNotice(
+              uid,
+              id,
+              appointment,
+              profileDoc.exists ? profileDoc.data() : {}
             );
           }
         } catch (whatsappError) {
           console.error('WhatsApp notification error:', whatsappError);
-          // Continue even if WhatsApp notification fails
+          // The status change is saved either way
         }
       }
 
+      if (status === 'cancelled' && appointment.status !== 'cancelled') {
+        await offerToWaitlist(uid, appointment);
+      }
+
+      if (status === 'completed' && appointment.status !== 'completed') {
+        await requestFeedback(
+          uid,
+          id,
+          { ...appointment, ...updateData, staffId: result.staffId },
+          profileDoc.exists ? profileDoc.data() : {}
+        );
+      }
+
+      // statusHistory is a Firestore sentinel here, not data to return
+      const { statusHistory, ...changes } = updateData;
+
       // Return success response
       return res.status(200).json({
         status: 'success',
@@ -313,7 +614,9 @@ class AppointmentController {
         data: {
           id,
           ...appointment,
-          ...updateData
+          ...changes,
+          staffId: result.staffId,
+          staffName: result.staffName
         }
       });
     } catch (error) {
@@ -357,24 +660,32 @@ class AppointmentController {
       }
 
       // Instead of deleting, mark as cancelled
-      await appointmentRef.update({
-        status: 'cancelled',
-        updatedAt: new Date().toISOString()
-      });
+      await appointmentRef.update(bookingService.statusChange(appointment.status, 'cancelled', {
+        role: 'owner',
+        id: uid,
+        channel: 'api'
+      }));
 
-      // Send WhatsApp notification if applicable
+      // Queue a WhatsApp notification if applicable
       if (appointment.customerPhone) {
         try {
-          await whatsappService.sendTextMessage(
-            appointment.customerPhone,
-            `Your appointment for ${appointment.serviceName} on ${appointment.appointmentDate} at ${appointment.appointmentTime} has been cancelled. Please contact us for more information.`
+          const profileDoc = await db.collection('businessProfiles').doc(uid).get();
+          await sendCancellationNotice(
+            uid,
+            id,
+            appointment,
+            profileDoc.exists ? profileDoc.data() : {}
           );
         } catch (whatsappError) {
           console.error('WhatsApp notification error:', whatsappError);
-          // Continue even if WhatsApp notification fails
+          // The status change is saved either way
         }
       }
 
+      if (appointment.status !== 'cancelled') {
+        await offerToWaitlist(uid, appointment);
+      }
+
       return res.status(200).json({
         status: 'success',
         message: 'Appointment cancelled successfully'
@@ -0,0 +1,340 @@
+const { db } = require('../utils/firebase');
+const campaignService = require('../services/campaign.service');
+const templateRegistry = require('../services/templateRegistry.service');
+const { INVALID_TEMPLATE_PARAMS, LANGUAGE_PATTERN } = templateRegistry;
+
+/**
+ * Campaign Controller
+ */
+class CampaignController {
+  /**
+   * Get all campaigns for a parlour
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getCampaigns(req, res) {
+    try {
+      const { uid } = req.user;
+      const { status } = req.query;
+
+      let query = db.collection('campaigns').where('parlourId', '==', uid);
+
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      const snapshot = await query.orderBy('scheduledAt', 'desc').get();
+
+      const campaigns = [];
+      snapshot.forEach(doc => {
+        campaigns.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: campaigns
+      });
+    } catch (error) {
+      console.error('Get campaigns error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get campaigns'
+      });
+    }
+  }
+
+  /**
+   * Get a campaign with delivery counts
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getCampaign(req, res) {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+
+      const campaignDoc = await db.collection('campaigns').doc(id).get();
+
+      if (!campaignDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Campaign not found'
+        });
+      }
+
+      if (campaignDoc.data().parlourId !== uid) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied to this campaign'
+        });
+      }
+
+      const report = await campaignService.getReport(id);
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          id,
+          ...campaignDoc.data(),
+          report
+        }
+      });
+    } catch (error) {
+      console.error('Get campaign error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get campaign'
+      });
+    }
+  }
+
+  /**
+   * Schedule a template broadcast to past customers
+   * The template's customerName parameter is filled in for each recipient.
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async createCampaign(req, res) {
+    try {
+      const { uid } = req.user;
+      const { name, templateKey, params = {}, locale, audience = {}, scheduledAt } = req.body;
+
+      // Validate required fields
+      if (!name || !templateKey) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Campaign name and template are required'
+        });
+      }
+
+      if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Template parameters must be an object'
+        });
+      }
+
+      if (locale && !LANGUAGE_PATTERN.test(locale)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Locale must be a language code like "en" or "en_US"'
+        });
+      }
+
+      if (audience === null || typeof audience !== 'object' || Array.isArray(audience)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Audience must be an object'
+        });
+      }
+
+      const { lastVisitWithinDays = null, serviceIds = [] } = audience;
+
+      if (lastVisitWithinDays !== null && (!Number.isInteger(lastVisitWithinDays) || lastVisitWithinDays < 1)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Last visit window must be a whole number of days'
+        });
+      }
+
+      if (!Array.isArray(serviceIds)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Service IDs must be a list'
+        });
+      }
+
+      const sendAt = scheduledAt ? new Date(scheduledAt) : new Date();
+      if (isNaN(sendAt.getTime())) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid scheduled time'
+        });
+      }
+
+      const profileDoc = await db.collection('businessProfiles').doc(uid).get();
+
+      if (!profileDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Business profile not found'
+        });
+      }
+
+      const services = profileDoc.data().services || [];
+      const unknownService = serviceIds.find(serviceId => !services.some(s => s.id === serviceId));
+      if (unknownService) {
+        return res.status(404).json({
+          status: 'error',
+          message: `Service ${unknownService} not found`
+        });
+      }
+
+      const template = await templateRegistry.getTemplate(templateKey);
+      if (!template) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Template not found'
+        });
+      }
+
+      if (template.category !== 'marketing') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Campaigns can only use marketing templates'
+        });
+      }
+
+      // Check the parameters now rather than finding out when every send fails
+      try {
+        templateRegistry.buildParameters(template, { customerName: 'Customer', ...params });
+      } catch (paramsError) {
+        if (paramsError.code === INVALID_TEMPLATE_PARAMS) {
+          return res.status(400).json({
+            status: 'error',
+            message: paramsError.message
+          });
+        }
+        throw paramsError;
+      }
+
+      const now = new Date().toISOString();
+      const campaignData = {
+        parlourId: uid,
+        name,
+        templateKey,
+        params,
+        locale: locale || null,
+        audience: {
+          lastVisitWithinDays,
+          serviceIds
+        },
+        status: 'scheduled',
+        scheduledAt: sendAt.toISOString(),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const campaignRef = await db.collection('campaigns').add(campaignData);
+
+      return res.status(201).json({
+        status: 'success',
+        message: 'Campaign scheduled successfully',
+        data: {
+          id: campaignRef.id,
+          ...campaignData
+        }
+      });
+    } catch (error) {
+      console.error('Create campaign error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to create campaign'
+      });
+    }
+  }
+
+  /**
+   * Preview how many customers a campaign audience would reach
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async previewAudience(req, res) {
+    try {
+      const { uid } = req.user;
+      const { lastVisitWithinDays, serviceIds } = req.query;
+
+      const customers = await campaignService.getAudience(uid, {
+        lastVisitWithinDays: parseInt(lastVisitWithinDays, 10) || null,
+        serviceIds: serviceIds ? serviceIds.split(',') : []
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          count: customers.length,
+          customers
+        }
+      });
+    } catch (error) {
+      console.error('Preview campaign audience error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to preview audience'
+      });
+    }
+  }
+
+  /**
+   * Cancel a campaign that hasn't started sending
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async cancelCampaign(req, res) {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+
+      const campaignRef = db.collection('campaigns').doc(id);
+
+      const result = await db.runTransaction(async (transaction) => {
+        const campaignDoc = await transaction.get(campaignRef);
+
+        if (!campaignDoc.exists) {
+          return { notFound: true };
+        }
+
+        if (campaignDoc.data().parlourId !== uid) {
+          return { denied: true };
+        }
+
+        if (campaignDoc.data().status !== 'scheduled') {
+          return { started: true };
+        }
+
+        transaction.update(campaignRef, {
+          status: 'cancelled',
+          updatedAt: new Date().toISOString()
+        });
+        return {};
+      });
+
+      if (result.notFound) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Campaign not found'
+        });
+      }
+
+      if (result.denied) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied to this campaign'
+        });
+      }
+
+      if (result.started) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Only scheduled campaigns can be cancelled'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Campaign cancelled successfully'
+      });
+    } catch (error) {
+      console.error('Cancel campaign error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to cancel campaign'
+      });
+    }
+  }
+}
+
+module.exports = new CampaignController();
\ No newline at end of file
@@ -0,0 +1,152 @@
+const { db } = require('../utils/firebase');
+const whatsappAccounts = require('../services/whatsappAccount.service');
+const handoffService = require('../services/handoff.service');
+const { WINDOW_CLOSED } = require('../services/conversationWindow.service');
+
+// WhatsApp's limit for a text message body
+const MAX_REPLY_LENGTH = 4096;
+
+/**
+ * Conversation Controller
+ */
+class ConversationController {
+  /**
+   * Get the parlour's WhatsApp conversations, most recent first
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getConversations(req, res) {
+    try {
+      const { uid } = req.user;
+      const { needsAttention, handoff } = req.query;
+
+      let query = db.collection('conversations').where('parlourId', '==', uid);
+
+      if (needsAttention !== undefined) {
+        query = query.where('needsAttention', '==', needsAttention === 'true');
+      }
+
+      if (handoff !== undefined) {
+        query = query.where('handoff.active', '==', handoff === 'true');
+      }
+
+      const snapshot = await query.orderBy('lastMessageAt', 'desc').limit(100).get();
+
+      const conversations = [];
+      snapshot.forEach(doc => {
+        conversations.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: conversations
+      });
+    } catch (error) {
+      console.error('Get conversations error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get conversations'
+      });
+    }
+  }
+
+  /**
+   * Reply to a customer as the owner; the bot stays paused for them until handed back
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async replyToConversation(req, res) {
+    try {
+      const { uid } = req.user;
+      const { phone } = req.params;
+      const { message } = req.body;
+
+      if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Message is required'
+        });
+      }
+
+      if (message.length > MAX_REPLY_LENGTH) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Message can't be longer than ${MAX_REPLY_LENGTH} characters`
+        });
+      }
+
+      const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+      const whatsapp = await whatsappAccounts.getClient(uid);
+      let result;
+
+      try {
+        result = await whatsapp.sendTextMessage(formattedPhone, message.trim(), {
+          parlourId: uid,
+          kind: 'owner_reply'
+        });
+      } catch (sendError) {
+        if (sendError.code === WINDOW_CLOSED) {
+          return res.status(409).json({
+            status: 'error',
+            message: 'The customer hasn\'t messaged in the last 24 hours, so WhatsApp only allows template messages'
+          });
+        }
+        throw sendError;
+      }
+
+      await handoffService.start(uid, formattedPhone, { reason: 'owner_reply', startedBy: uid });
+      await handoffService.setNeedsAttention(uid, formattedPhone, false);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Reply sent',
+        data: {
+          messageId: result?.messages?.[0]?.id || null
+        }
+      });
+    } catch (error) {
+      console.error('Reply to conversation error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to send reply'
+      });
+    }
+  }
+
+  /**
+   * Give a conversation back to the bot
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async handBackConversation(req, res) {
+    try {
+      const { uid } = req.user;
+      const { phone } = req.params;
+
+      const ended = await handoffService.end(uid, phone, uid);
+
+      if (!ended) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'The bot is already handling this conversation'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Conversation handed back to the bot'
+      });
+    } catch (error) {
+      console.error('Hand back conversation error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to hand back conversation'
+      });
+    }
+  }
+}
+
+module.exports = new ConversationController();
\ No newline at end of file
@@ -1,4 +1,10 @@
 const { db } = require('../utils/firebase');
+const consentService = require('../services/consent.service');
+const conversationLog = require('../services/conversationLog.service');
+
+// Messages returned per page of a conversation
+const DEFAULT_MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 200;
 
 /**
  * Customer Controller
@@ -101,6 +107,49 @@ class CustomerController {
     }
   }
 
+  /**
+   * Get the WhatsApp conversation with a customer, newest messages first
+   * Pass the returned nextCursor as `before` to get older messages.
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getCustomerMessages(req, res) {
+    try {
+      const { uid } = req.user;
+      const { phone } = req.params;
+      const { before } = req.query;
+
+      const limit = req.query.limit === undefined ? DEFAULT_MESSAGE_PAGE_SIZE : parseInt(req.query.limit, 10);
+
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MESSAGE_PAGE_SIZE) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Limit must be between 1 and ${MAX_MESSAGE_PAGE_SIZE}`
+        });
+      }
+
+      const page = await conversationLog.getMessages(uid, phone, { limit, before });
+
+      if (!page) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid cursor'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: page
+      });
+    } catch (error) {
+      console.error('Get customer messages error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get customer messages'
+      });
+    }
+  }
+
   /**
    * Get all customers for a parlour
    * @param {object} req - Express request object
@@ -158,6 +207,194 @@ class CustomerController {
       });
     }
   }
+  /**
+   * Get customer activity flagged for the owner (e.g. voice notes, reschedules)
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getCustomerFlags(req, res) {
+    try {
+      const { uid } = req.user;
+      const { resolved = 'false' } = req.query;
+
+      const snapshot = await db.collection('customerFlags')
+        .where('parlourId', '==', uid)
+        .where('resolved', '==', resolved === 'true')
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      const flags = [];
+      snapshot.forEach(doc => {
+        flags.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: flags
+      });
+    } catch (error) {
+      console.error('Get customer flags error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get customer flags'
+      });
+    }
+  }
+
+  /**
+   * Mark a flagged customer message as handled
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async resolveCustomerFlag(req, res) {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+
+      const flagRef = db.collection('customerFlags').doc(id);
+      const flagDoc = await flagRef.get();
+
+      if (!flagDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Flag not found'
+        });
+      }
+
+      if (flagDoc.data().parlourId !== uid) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied to this flag'
+        });
+      }
+
+      await flagRef.update({
+        resolved: true,
+        resolvedAt: new Date().toISOString()
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Flag resolved successfully'
+      });
+    } catch (error) {
+      console.error('Resolve customer flag error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to resolve customer flag'
+      });
+    }
+  }
+
+  /**
+   * Get customers' messaging consent, e.g. everyone who opted out
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getConsentList(req, res) {
+    try {
+      const { uid } = req.user;
+      const { status } = req.query;
+
+      let query = db.collection('messagingConsent').where('parlourId', '==', uid);
+
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      const snapshot = await query.orderBy('updatedAt', 'desc').get();
+
+      const consents = [];
+      snapshot.forEach(doc => {
+        consents.push(doc.data());
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: consents
+      });
+    } catch (error) {
+      console.error('Get consent list error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get messaging consent'
+      });
+    }
+  }
+
+  /**
+   * Get a customer's messaging consent and its history
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getConsent(req, res) {
+    try {
+      const { uid } = req.user;
+      const { phone } = req.params;
+
+      const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+      const consent = await consentService.getConsent(uid, formattedPhone);
+
+      // Customers who never said STOP or START haven't opted out
+      return res.status(200).json({
+        status: 'success',
+        data: consent || {
+          parlourId: uid,
+          customerPhone: formattedPhone,
+          status: null,
+          history: []
+        }
+      });
+    } catch (error) {
+      console.error('Get consent error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get messaging consent'
+      });
+    }
+  }
+
+  /**
+   * Record consent a customer gave or withdrew outside WhatsApp
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async updateConsent(req, res) {
+    try {
+      const { uid } = req.user;
+      const { phone } = req.params;
+      const { status, note } = req.body;
+
+      if (!['opted_in', 'opted_out'].includes(status)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Status must be opted_in or opted_out'
+        });
+      }
+
+      const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+      await consentService.setConsent(uid, formattedPhone, status, {
+        source: 'api',
+        changedBy: uid,
+        note
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Messaging consent updated',
+        data: await consentService.getConsent(uid, formattedPhone)
+      });
+    } catch (error) {
+      console.error('Update consent error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to update messaging consent'
+      });
+    }
+  }
 }
 
 module.exports = new CustomerController();
\ No newline at end of file
@@ -0,0 +1,141 @@
+const { db } = require('../utils/firebase');
+const availabilityService = require('../services/availability.service');
+const feedbackService = require('../services/feedback.service');
+
+/**
+ * Feedback Controller
+ */
+class FeedbackController {
+  /**
+   * Get average ratings per service and staff member
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getRatingSummary(req, res) {
+    try {
+      const { uid } = req.user;
+      const from = req.query.from ? availabilityService.normalizeDate(req.query.from) : null;
+      const to = req.query.to ? availabilityService.normalizeDate(req.query.to) : null;
+
+      if ((req.query.from && !from) || (req.query.to && !to)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid date range'
+        });
+      }
+
+      const summary = await feedbackService.getSummary(uid, { from, to });
+
+      return res.status(200).json({
+        status: 'success',
+        data: summary
+      });
+    } catch (error) {
+      console.error('Get rating summary error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get rating summary'
+      });
+    }
+  }
+
+  /**
+   * Get low ratings to follow up on, most recent first
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getLowRatings(req, res) {
+    try {
+      const { uid } = req.user;
+      const maxRating = req.query.maxRating === undefined ? 2 : parseInt(req.query.maxRating, 10);
+
+      if (!Number.isInteger(maxRating) || maxRating < 1 || maxRating > 5) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Max rating must be between 1 and 5'
+        });
+      }
+
+      const ratings = Array.from({ length: maxRating }, (value, index) => index + 1);
+
+      let query = db.collection('feedback')
+        .where('parlourId', '==', uid)
+        .where('rating', 'in', ratings);
+
+      // Ratings already followed up are left out unless asked for
+      if (req.query.followedUp !== 'all') {
+        query = query.where('followedUp', '==', req.query.followedUp === 'true');
+      }
+
+      const snapshot = await query.orderBy('ratedAt', 'desc').limit(100).get();
+
+      const feedback = [];
+      snapshot.forEach(doc => {
+        feedback.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: feedback
+      });
+    } catch (error) {
+      console.error('Get low ratings error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get low ratings'
+      });
+    }
+  }
+
+  /**
+   * Mark a rating as followed up
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async markFollowedUp(req, res) {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+      const { note } = req.body;
+
+      const feedbackRef = db.collection('feedback').doc(id);
+      const feedbackDoc = await feedbackRef.get();
+
+      if (!feedbackDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Feedback not found'
+        });
+      }
+
+      if (feedbackDoc.data().parlourId !== uid) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied to this feedback'
+        });
+      }
+
+      await feedbackRef.update({
+        followedUp: true,
+        followUpNote: note || null,
+        followedUpAt: new Date().toISOString()
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Feedback marked as followed up'
+      });
+    } catch (error) {
+      console.error('Mark feedback followed up error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to update feedback'
+      });
+    }
+  }
+}
+
+module.exports = new FeedbackController();
\ No newline at end of file
@@ -1,4 +1,9 @@
 const { db } = require('../utils/firebase');
+const parlourDirectory = require('../services/parlourDirectory.service');
+const whatsappAccounts = require('../services/whatsappAccount.service');
+const { MAX_OFFSET_HOURS } = require('../services/reminder.service');
+const { OPT_OUT_SCOPES } = require('../services/consent.service');
+const { LANGUAGE_PATTERN } = require('../services/templateRegistry.service');
 
 /**
  * Business Profile Controller
@@ -12,13 +17,25 @@ class ProfileController {
   async saveProfile(req, res) {
     try {
       const { uid } = req.user;
+
+      // Check if profile already exists
+      const profileRef = db.collection('businessProfiles').doc(uid);
+      const profileDoc = await profileRef.get();
+
+      // Settings left out of the request keep their stored values
+      const stored = profileDoc.exists ? profileDoc.data() : {};
+
       const { 
         businessName, 
         whatsappNumber, 
         services = [],
         workingHours = {},
         address = {},
-        description = ''
+        description = '',
+        slotGranularity = stored.slotGranularity ?? 30,
+        reminderOffsets = stored.reminderOffsets ?? [24, 2],
+        optOutScope = stored.optOutScope ?? 'marketing',
+        templateLanguage = stored.templateLanguage ?? null
       } = req.body;
 
       // Validate required fields
@@ -29,6 +46,40 @@ class ProfileController {
         });
       }
 
+      const granularity = parseInt(slotGranularity, 10);
+
+      if (isNaN(granularity) || granularity < 5 || granularity > 240) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Slot granularity must be a whole number of minutes between 5 and 240'
+        });
+      }
+
+      // Reminder offsets are hours before the appointment; an empty list turns reminders off
+      if (!Array.isArray(reminderOffsets) ||
+          reminderOffsets.some(hours => typeof hours !== 'number' || hours <= 0 || hours > MAX_OFFSET_HOURS)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Reminder offsets must be a list of hours between 0 and ${MAX_OFFSET_HOURS}`
+        });
+      }
+
+      // What a customer's STOP blocks: marketing only, or every message they didn't ask for
+      if (!OPT_OUT_SCOPES.includes(optOutScope)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Opt-out scope must be one of: ${OPT_OUT_SCOPES.join(', ')}`
+        });
+      }
+
+      // Templates go out in this language when they are approved in it
+      if (templateLanguage !== null && !LANGUAGE_PATTERN.test(templateLanguage)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Template language must be a code like "en" or "en_US"'
+        });
+      }
+
       // Format phone number if needed
       const formattedWhatsappNumber = whatsappNumber.startsWith('+') 
         ? whatsappNumber 
@@ -42,18 +93,19 @@ class ProfileController {
         workingHours,
         address,
         description,
+        slotGranularity: granularity,
+        reminderOffsets: [...new Set(reminderOffsets)].sort((a, b) => b - a),
+        optOutScope,
+        templateLanguage,
         updatedAt: new Date().toISOString()
       };
 
-      // Check if profile already exists
-      const profileRef = db.collection('businessProfiles').doc(uid);
-      const profileDoc = await profileRef.get();
-
       if (profileDoc.exists) {
         // Update existing profile
         await profileRef.update({
           ...profileData
         });
+        parlourDirectory.invalidateParlour(uid);
 
         return res.status(200).json({
           status: 'success',
@@ -70,6 +122,7 @@ class ProfileController {
         profileData.ownerId = uid;
         
         await profileRef.set(profileData);
+        parlourDirectory.invalidateParlour(uid);
 
         return res.status(201).json({
           status: 'success',
@@ -201,6 +254,7 @@ class ProfileController {
         services,
         updatedAt: new Date().toISOString()
       });
+      parlourDirectory.invalidateParlour(uid);
 
       return res.status(200).json({
         status: 'success',
@@ -258,14 +312,35 @@ class ProfileController {
         });
       }
 
+      // An empty service list means a stylist performs everything, so a
+      // stylist's only service can't be removed out from under them
+      const onlyService = (profile.staff || []).filter(member =>
+        member.serviceIds && member.serviceIds.length === 1 && member.serviceIds[0] === serviceId
+      );
+
+      if (onlyService.length > 0) {
+        return res.status(409).json({
+          status: 'error',
+          message: `This is the only service for ${onlyService.map(member => member.name).join(', ')}. Assign them other services before deleting it.`
+        });
+      }
+
       // Remove service
       services.splice(serviceIndex, 1);
 
+      // Stylists no longer perform a service that was removed
+      const staff = (profile.staff || []).map(member => (member.serviceIds ? {
+        ...member,
+        serviceIds: member.serviceIds.filter(id => id !== serviceId)
+      } : member));
+
       // Update profile with updated services
       await profileRef.update({
         services,
+        staff,
         updatedAt: new Date().toISOString()
       });
+      parlourDirectory.invalidateParlour(uid);
 
       return res.status(200).json({
         status: 'success',
@@ -280,6 +355,208 @@ class ProfileController {
     }
   }
 
+  /**
+   * Get staff members
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getStaff(req, res) {
+    try {
+      const { uid } = req.user;
+
+      const profileDoc = await db.collection('businessProfiles').doc(uid).get();
+
+      if (!profileDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Business profile not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: profileDoc.data().staff || []
+      });
+    } catch (error) {
+      console.error('Get staff error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get staff'
+      });
+    }
+  }
+
+  /**
+   * Add or update a staff member
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async saveStaff(req, res) {
+    try {
+      const { uid } = req.user;
+      const { staffId } = req.params;
+      const {
+        name,
+        phone = null,
+        serviceIds = [],
+        workingHours = null,
+        active = true
+      } = req.body;
+
+      // Validate required fields
+      if (!name) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Staff name is required'
+        });
+      }
+
+      if (!Array.isArray(serviceIds)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'serviceIds must be an array'
+        });
+      }
+
+      if (workingHours !== null && typeof workingHours !== 'object') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Working hours must be an object'
+        });
+      }
+
+      // Get profile document
+      const profileRef = db.collection('businessProfiles').doc(uid);
+      const profileDoc = await profileRef.get();
+
+      if (!profileDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Business profile not found, create a profile first'
+        });
+      }
+
+      const profile = profileDoc.data();
+      const knownServiceIds = (profile.services || []).map(service => service.id);
+      const unknownServiceIds = serviceIds.filter(id => !knownServiceIds.includes(id));
+
+      if (unknownServiceIds.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown service IDs: ${unknownServiceIds.join(', ')}`
+        });
+      }
+
+      // Prepare staff data; no working hours means the parlour's hours apply
+      const staffData = {
+        name,
+        phone: phone ? (phone.startsWith('+') ? phone : `+${phone}`) : null,
+        serviceIds,
+        workingHours,
+        active: active !== false,
+        updatedAt: new Date().toISOString()
+      };
+
+      const staff = profile.staff || [];
+
+      if (staffId) {
+        // Update existing staff member
+        const staffIndex = staff.findIndex(member => member.id === staffId);
+
+        if (staffIndex === -1) {
+          return res.status(404).json({
+            status: 'error',
+            message: 'Staff member not found'
+          });
+        }
+
+        // Keep original creation date
+        staffData.createdAt = staff[staffIndex].createdAt;
+        staffData.id = staffId;
+
+        staff[staffIndex] = staffData;
+      } else {
+        // Add new staff member
+        staffData.id = Date.now().toString();
+        staffData.createdAt = new Date().toISOString();
+        staff.push(staffData);
+      }
+
+      // Update profile with updated staff
+      await profileRef.update({
+        staff,
+        updatedAt: new Date().toISOString()
+      });
+      parlourDirectory.invalidateParlour(uid);
+
+      return res.status(200).json({
+        status: 'success',
+        message: staffId ? 'Staff member updated successfully' : 'Staff member added successfully',
+        data: staffData
+      });
+    } catch (error) {
+      console.error('Save staff error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to save staff member'
+      });
+    }
+  }
+
+  /**
+   * Delete a staff member
+   * Existing appointments keep their staffId and staffName for history.
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async deleteStaff(req, res) {
+    try {
+      const { uid } = req.user;
+      const { staffId } = req.params;
+
+      // Get profile document
+      const profileRef = db.collection('businessProfiles').doc(uid);
+      const profileDoc = await profileRef.get();
+
+      if (!profileDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Business profile not found'
+        });
+      }
+
+      const staff = profileDoc.data().staff || [];
+      const staffIndex = staff.findIndex(member => member.id === staffId);
+
+      if (staffIndex === -1) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Staff member not found'
+        });
+      }
+
+      // Remove staff member
+      staff.splice(staffIndex, 1);
+
+      await profileRef.update({
+        staff,
+        updatedAt: new Date().toISOString()
+      });
+      parlourDirectory.invalidateParlour(uid);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Staff member deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete staff error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to delete staff member'
+      });
+    }
+  }
+
   /**
    * Update working hours
    * @param {object} req - Express request object
@@ -313,6 +590,7 @@ class ProfileController {
         workingHours,
         updatedAt: new Date().toISOString()
       });
+      parlourDirectory.invalidateParlour(uid);
 
       return res.status(200).json({
         status: 'success',
@@ -327,6 +605,110 @@ class ProfileController {
       });
     }
   }
+  /**
+   * Get WhatsApp Business credential status (the token itself is never returned)
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getWhatsAppCredentials(req, res) {
+    try {
+      const { uid } = req.user;
+
+      const metadata = await whatsappAccounts.getCredentialMetadata(uid);
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          configured: !!metadata,
+          ...metadata
+        }
+      });
+    } catch (error) {
+      console.error('Get WhatsApp credentials error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get WhatsApp credentials'
+      });
+    }
+  }
+
+  /**
+   * Save WhatsApp Business credentials used to send from the parlour's own number
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async saveWhatsAppCredentials(req, res) {
+    try {
+      const { uid } = req.user;
+      const { accessToken, apiVersion } = req.body;
+
+      if (!accessToken) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Access token is required'
+        });
+      }
+
+      if (apiVersion && !/^v\d+\.\d+$/.test(apiVersion)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'API version must look like "v17.0"'
+        });
+      }
+
+      // Get profile document
+      const profileDoc = await db.collection('businessProfiles').doc(uid).get();
+
+      if (!profileDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Business profile not found, create a profile first'
+        });
+      }
+
+      const metadata = await whatsappAccounts.saveCredentials(uid, { accessToken, apiVersion });
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'WhatsApp credentials saved successfully',
+        data: {
+          configured: true,
+          phoneNumberId: profileDoc.data().whatsappPhoneNumberId || null,
+          ...metadata
+        }
+      });
+    } catch (error) {
+      console.error('Save WhatsApp credentials error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to save WhatsApp credentials'
+      });
+    }
+  }
+
+  /**
+   * Delete WhatsApp Business credentials
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async deleteWhatsAppCredentials(req, res) {
+    try {
+      const { uid } = req.user;
+
+      await whatsappAccounts.deleteCredentials(uid);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'WhatsApp credentials deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete WhatsApp credentials error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to delete WhatsApp credentials'
+      });
+    }
+  }
 }
 
 module.exports = new ProfileController();
\ No newline at end of file
@@ -0,0 +1,192 @@
+const { db } = require('../utils/firebase');
+const availabilityService = require('../services/availability.service');
+const waitlistService = require('../services/waitlist.service');
+
+/**
+ * Waitlist Controller
+ */
+class WaitlistController {
+  /**
+   * Get waitlist entries for a parlour
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async getWaitlist(req, res) {
+    try {
+      const { uid } = req.user;
+      const { date, status } = req.query;
+
+      let query = db.collection('waitlist').where('parlourId', '==', uid);
+
+      if (date) {
+        query = query.where('date', '==', availabilityService.normalizeDate(date));
+      }
+
+      if (status) {
+        query = query.where('status', '==', status);
+      }
+
+      const snapshot = await query.orderBy('createdAt', 'asc').get();
+
+      const entries = [];
+      snapshot.forEach(doc => {
+        entries.push({
+          id: doc.id,
+          ...doc.data()
+        });
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: entries
+      });
+    } catch (error) {
+      console.error('Get waitlist error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to get waitlist'
+      });
+    }
+  }
+
+  /**
+   * Add a customer to the waitlist
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async addToWaitlist(req, res) {
+    try {
+      const { uid } = req.user;
+      const { customerName, customerPhone, serviceId, date, staffId } = req.body;
+
+      // Validate required fields
+      if (!customerPhone || !serviceId || !date) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Customer phone, service and date are required'
+        });
+      }
+
+      const normalizedDate = availabilityService.normalizeDate(date);
+      if (!normalizedDate) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid date'
+        });
+      }
+
+      const profileDoc = await db.collection('businessProfiles').doc(uid).get();
+
+      if (!profileDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Business profile not found'
+        });
+      }
+
+      const businessProfile = profileDoc.data();
+      const service = (businessProfile.services || []).find(s => s.id === serviceId);
+
+      if (!service) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Service not found'
+        });
+      }
+
+      if (staffId && !(businessProfile.staff || []).some(member => member.id === staffId)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Staff member not found'
+        });
+      }
+
+      const entry = await waitlistService.join(uid, {
+        customerPhone: customerPhone.startsWith('+') ? customerPhone : `+${customerPhone}`,
+        customerName,
+        serviceId,
+        serviceName: service.name,
+        date: normalizedDate,
+        staffId,
+        source: 'api'
+      });
+
+      const { created, ...data } = entry;
+
+      return res.status(created ? 201 : 200).json({
+        status: 'success',
+        message: created ? 'Customer added to the waitlist' : 'Customer is already on the waitlist',
+        data
+      });
+    } catch (error) {
+      console.error('Add to waitlist error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to add to waitlist'
+      });
+    }
+  }
+
+  /**
+   * Remove a customer from the waitlist
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  async removeFromWaitlist(req, res) {
+    try {
+      const { uid } = req.user;
+      const { id } = req.params;
+
+      const entryRef = db.collection('waitlist').doc(id);
+      const entryDoc = await entryRef.get();
+
+      if (!entryDoc.exists) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Waitlist entry not found'
+        });
+      }
+
+      const entry = entryDoc.data();
+
+      if (entry.parlourId !== uid) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied to this waitlist entry'
+        });
+      }
+
+      await entryRef.update({
+        status: 'cancelled',
+        offer: null,
+        updatedAt: new Date().toISOString()
+      });
+
+      // A slot this customer was holding goes to the next in line
+      if (entry.status === 'offered' && entry.offer) {
+        try {
+          await waitlistService.offerFreedSlot(
+            uid,
+            { appointmentDate: entry.date, appointmentTime: entry.offer.time },
+            [...(entry.offer.passedOnBy || []), id]
+          );
+        } catch (waitlistError) {
+          console.error('Waitlist offer error:', waitlistError);
+        }
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Waitlist entry removed'
+      });
+    } catch (error) {
+      console.error('Remove from waitlist error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'Failed to remove waitlist entry'
+      });
+    }
+  }
+}
+
+module.exports = new WaitlistController();
\ No newline at end of file
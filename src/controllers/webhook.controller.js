@@ -1,84 +1,203 @@
-const { db } = require('../utils/firebase');
+const { db, firebaseAdmin } = require('../utils/firebase');
 const whatsappService = require('../services/whatsapp.service');
+const sessionService = require('../services/session.service');
+const { SESSION_STEPS } = sessionService;
+const messageLedger = require('../services/messageLedger.service');
+const outboundMessageService = require('../services/outboundMessage.service');
+const parlourDirectory = require('../services/parlourDirectory.service');
+const whatsappAccounts = require('../services/whatsappAccount.service');
+const mediaService = require('../services/media.service');
+const availabilityService = require('../services/availability.service');
+const bookingService = require('../services/booking.service');
+const waitlistService = require('../services/waitlist.service');
+const consentService = require('../services/consent.service');
+const conversationWindow = require('../services/conversationWindow.service');
+const conversationLog = require('../services/conversationLog.service');
+const handoffService = require('../services/handoff.service');
+const feedbackService = require('../services/feedback.service');
 
 /**
  * Webhook Controller for handling incoming WhatsApp messages
  */
 class WebhookController {
+  constructor() {
+    // Tail of the processing chain for each sender, keyed by business number and customer
+    this.senderQueues = new Map();
+  }
+
   /**
-   * Handle WhatsApp webhook
+   * Verify WhatsApp webhook subscription (needed for WhatsApp setup)
    * @param {object} req - Express request object
    * @param {object} res - Express response object
    */
-  async handleWhatsAppWebhook(req, res) {
-    try {
-      // Verify webhook if it's a GET request (needed for WhatsApp setup)
-      if (req.method === 'GET') {
-        const mode = req.query['hub.mode'];
-        const token = req.query['hub.verify_token'];
-        const challenge = req.query['hub.challenge'];
-        
-        // Verify that the mode and token match
-        if (mode === 'subscribe' &&     (token === process.env.WEBHOOK_VERIFY_TOKEN || 
-            token === process.env.WHATSAPP_API_TOKEN)) {
-          console.log('WhatsApp webhook verified');
-          return res.status(200).send(challenge);
-        } else {
-          console.error('WhatsApp webhook verification failed');
-          return res.sendStatus(403);
-        }
-      }
+  verifyWebhook(req, res) {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
 
-      // Handle POST request (incoming messages)
-      const body = req.body;
+    // The verify token is a dedicated secret, not the Graph API bearer token
+    const expectedToken = process.env.WEBHOOK_VERIFY_TOKEN;
 
-      // Check if this is a WhatsApp message
-      if (!body.object || !body.entry || !body.entry[0].changes) {
-        return res.sendStatus(400);
-      }
+    if (mode === 'subscribe' && expectedToken && token === expectedToken) {
+      console.log('WhatsApp webhook verified');
+      return res.status(200).send(challenge);
+    }
+
+    console.error('WhatsApp webhook verification failed');
+    return res.sendStatus(403);
+  }
+
+  /**
+   * Handle incoming WhatsApp webhook events
+   * Acknowledges Meta immediately and processes the event in the background
+   * @param {object} req - Express request object
+   * @param {object} res - Express response object
+   */
+  handleWhatsAppWebhook(req, res) {
+    const body = req.body;
+
+    // Verify this is a WhatsApp Business Account event
+    if (!body || body.object !== 'whatsapp_business_account') {
+      console.log(`Not a WhatsApp event: ${body && body.object}`);
+      return res.sendStatus(404);
+    }
+
+    if (!Array.isArray(body.entry)) {
+      console.log('No valid entries in webhook payload');
+      return res.sendStatus(400);
+    }
+
+    // Respond before processing so WhatsApp doesn't time out and retry
+    res.status(200).send('EVENT_RECEIVED');
+
+    this.processWebhookEvent(body).catch(error => {
+      console.error('Error processing webhook event:', error);
+    });
+  }
+
+  /**
+   * Dispatch every message in every entry and change of a webhook event
+   * @param {object} body - Webhook payload
+   */
+  async processWebhookEvent(body) {
+    const tasks = [];
+
+    for (const entry of body.entry) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'messages') {
+          console.log(`Ignoring change for field: ${change.field}`);
+          continue;
+        }
 
-      const changes = body.entry[0].changes;
-      
-      for (const change of changes) {
-        if (change.field !== 'messages') continue;
-        
         const value = change.value;
-        if (!value || !value.messages || !value.messages.length) continue;
-        
-        // Process each message
-        for (const message of value.messages) {
-          await this.processMessage(message, value.metadata);
+        if (!value) continue;
+
+        // Delivery updates for messages we sent
+        for (const status of value.statuses || []) {
+          tasks.push(this.processStatus(status));
+        }
+
+        if (!value.messages || !value.messages.length) continue;
+
+        // Oldest first so a sender's messages are handled in the order they were sent
+        const messages = [...value.messages].sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+
+        for (const message of messages) {
+          tasks.push(this.dispatchMessage(message, value.metadata));
         }
       }
+    }
+
+    await Promise.all(tasks);
+  }
 
-      // Return success response to WhatsApp
-      return res.status(200).json({ status: 'success' });
+  /**
+   * Apply a delivery status update to the outbound message record
+   * @param {object} status - Status object from WhatsApp
+   */
+  async processStatus(status) {
+    try {
+      await outboundMessageService.applyStatus(status);
+
+      if (status.status === 'failed') {
+        console.error(`WhatsApp message ${status.id} to ${status.recipient_id} failed:`, status.errors);
+      }
     } catch (error) {
-      console.error('WhatsApp webhook error:', error);
-      return res.status(500).json({
-        status: 'error',
-        message: error.message || 'Error processing webhook'
-      });
+      console.error('Error processing message status:', error);
     }
   }
 
+  /**
+   * Process a message once, after any earlier message from the same sender
+   * @param {object} message - Message object from WhatsApp
+   * @param {object} metadata - Metadata from WhatsApp
+   */
+  async dispatchMessage(message, metadata) {
+    const senderKey = `${metadata && metadata.phone_number_id}_${message.from}`;
+
+    await this.runInSenderOrder(senderKey, async () => {
+      const isNew = await messageLedger.claimMessage(message.id, {
+        from: message.from,
+        phoneNumberId: (metadata && metadata.phone_number_id) || null,
+        type: message.type
+      });
+
+      if (!isNew) {
+        console.log(`Skipping already processed message ${message.id}`);
+        return;
+      }
+
+      try {
+        await this.processMessage(message, metadata);
+      } catch (error) {
+        await messageLedger.releaseMessage(message.id);
+        throw error;
+      }
+
+      await messageLedger.markProcessed(message.id);
+    });
+  }
+
+  /**
+   * Chain a task behind the sender's previous task so they never run concurrently
+   * @param {string} senderKey - Sender queue key
+   * @param {Function} task - Async task to run
+   * @returns {Promise<void>}
+   */
+  runInSenderOrder(senderKey, task) {
+    const previous = this.senderQueues.get(senderKey) || Promise.resolve();
+    const current = previous.then(task).catch(error => {
+      console.error(`Error processing message for ${senderKey}:`, error);
+    });
+
+    this.senderQueues.set(senderKey, current);
+    current.then(() => {
+      // Drop the queue once nothing else has been chained behind this task
+      if (this.senderQueues.get(senderKey) === current) {
+        this.senderQueues.delete(senderKey);
+      }
+    });
+
+    return current;
+  }
+
   /**
    * Process WhatsApp message
+   * Errors are rethrown after the customer has been sent an apology.
    * @param {object} message - Message object from WhatsApp
    * @param {object} metadata - Metadata from WhatsApp
    */
   async processMessage(message, metadata) {
+    let sender = whatsappService;
+
     try {
       const fromNumber = message.from;
       
-      // Find business profile that has this WhatsApp number registered
-      const profileSnapshot = await db.collection('businessProfiles')
-        .where('whatsappNumber', '==', metadata.phone_number_id)
-        .limit(1)
-        .get();
+      // Find the parlour this WhatsApp phone number id is bound to
+      const parlour = await parlourDirectory.getParlourByPhoneNumberId(metadata && metadata.phone_number_id);
 
-      if (profileSnapshot.empty) {
-        console.error('No business found for WhatsApp number');
+      if (!parlour) {
+        console.error(`No business found for WhatsApp phone number id ${metadata && metadata.phone_number_id}`);
         await whatsappService.sendTextMessage(
           fromNumber,
           'Sorry, this number is not registered with any parlour.'
@@ -86,34 +205,66 @@ class WebhookController {
         return;
       }
 
-      const businessProfile = profileSnapshot.docs[0].data();
-      const parlourId = profileSnapshot.docs[0].id;
-
-      // Process different message types
-      switch (message.type) {
-        case 'text':
-          await this.processTextMessage(message, metadata, businessProfile, parlourId);
-          break;
-        case 'button':
-          await this.processButtonMessage(message, metadata, businessProfile, parlourId);
-          break;
-        case 'interactive':
-          await this.processInteractiveMessage(message, metadata, businessProfile, parlourId);
-          break;
-        default:
-          // Handle unsupported message types
-          await whatsappService.sendTextMessage(
-            fromNumber,
-            `I can help you book an appointment. Please send a message like: "Book Haircut on 2nd May 3PM" or "Book Haircut tomorrow at 2 PM"`
-          );
-          break;
+      const { businessProfile, parlourId } = parlour;
+
+      // Every inbound message reopens the 24-hour window for free-form replies
+      const receivedAt = message.timestamp ? new Date(Number(message.timestamp) * 1000) : new Date();
+      await conversationWindow.recordInbound(parlourId, fromNumber, receivedAt);
+
+      try {
+        await conversationLog.logInbound(parlourId, message);
+      } catch (logError) {
+        console.error('Error logging inbound WhatsApp message:', logError);
       }
+
+      // Reply from the same number the customer messaged
+      sender = await whatsappAccounts.getClient(parlourId, metadata.phone_number_id);
+
+      await whatsappService.runAsSender(sender, async () => {
+        // While the owner has the conversation the bot stays out of it
+        if (await handoffService.isActive(parlourId, fromNumber)) {
+          await this.processHandoffMessage(message, businessProfile, parlourId);
+          return;
+        }
+
+        // Process different message types
+        switch (message.type) {
+          case 'text':
+            await this.processTextMessage(message, metadata, businessProfile, parlourId);
+            break;
+          case 'button':
+            await this.processButtonMessage(message, metadata, businessProfile, parlourId);
+            break;
+          case 'interactive':
+            await this.processInteractiveMessage(message, metadata, businessProfile, parlourId);
+            break;
+          case 'location':
+            await this.processLocationMessage(message, metadata, businessProfile, parlourId);
+            break;
+          case 'image':
+            await this.processImageMessage(message, metadata, businessProfile, parlourId);
+            break;
+          case 'audio':
+            await this.processAudioMessage(message, metadata, businessProfile, parlourId);
+            break;
+          case 'contacts':
+            await this.processContactsMessage(message, metadata, businessProfile, parlourId);
+            break;
+          default:
+            // Handle unsupported message types
+            await whatsappService.sendTextMessage(
+              fromNumber,
+              `I can help you book an appointment. Please send a message like: "Book Haircut on 2nd May 3PM" or "Book Haircut tomorrow at 2 PM"`
+            );
+            break;
+        }
+      }, parlourId);
     } catch (error) {
       console.error('Error processing message:', error);
       // Send error message to user
       if (message && message.from) {
         try {
-          await whatsappService.sendTextMessage(
+          await sender.sendTextMessage(
             message.from,
             'Sorry, we encountered an error processing your request. Please try again or contact the parlour directly.'
           );
@@ -121,6 +272,9 @@ class WebhookController {
           console.error('Error sending error message:', sendError);
         }
       }
+
+      // Let dispatchMessage release the message so a redelivery is processed
+      throw error;
     }
   }
 
@@ -144,6 +298,16 @@ class WebhookController {
 
     // Check for command keywords
     const lowerText = messageText.toLowerCase();
+
+    if (consentService.isOptOutKeyword(messageText) || consentService.isOptInKeyword(messageText)) {
+      await this.handleConsentKeyword(fromNumber, messageText, businessProfile, parlourId);
+      return;
+    }
+
+    if (handoffService.isHandoffKeyword(messageText)) {
+      await this.startHandoff(fromNumber, 'customer_request', businessProfile, parlourId);
+      return;
+    }
     
     if (lowerText === 'hi' || lowerText === 'hello' || lowerText === 'hey') {
       // Send welcome message
@@ -175,6 +339,30 @@ class WebhookController {
       return;
     }
     
+    if (lowerText === 'reschedule') {
+      // List appointments that can be moved
+      await this.handleRescheduleRequest(fromNumber, parlourId);
+      return;
+    }
+
+    const cancelMatch = messageText.match(/^cancel\s+(\S+)$/i);
+    if (cancelMatch) {
+      await this.cancelAppointment(fromNumber, cancelMatch[1], parlourId);
+      return;
+    }
+
+    const waitlistMatch = messageText.match(/^waitlist\s+(.+)$/i);
+    if (waitlistMatch) {
+      await this.handleWaitlistRequest(fromNumber, waitlistMatch[1], businessProfile, parlourId);
+      return;
+    }
+
+    const rescheduleMatch = messageText.match(/^reschedule\s+(\S+)$/i);
+    if (rescheduleMatch) {
+      await this.startReschedule(fromNumber, rescheduleMatch[1], businessProfile, parlourId);
+      return;
+    }
+
     if (lowerText === 'help') {
       // Send help message
       await this.sendHelpMessage(fromNumber, businessProfile);
@@ -183,9 +371,50 @@ class WebhookController {
 
     // Check if this is a booking request
     const bookingData = this.parseBookingMessage(messageText);
+
+    // Replies in the middle of a guided booking are read against its current step
+    const session = await sessionService.getSession(parlourId, fromNumber);
+
+    if (session) {
+      if (!bookingData) {
+        await this.handleSessionReply(fromNumber, messageText, session, businessProfile, parlourId);
+        return;
+      }
+
+      // A complete booking message replaces the guided flow
+      bookingData.bookingFor = session.bookingFor || null;
+      await this.discardPendingBooking(session.appointmentId, parlourId);
+      await sessionService.clearSession(parlourId, fromNumber);
+    }
+
+    // Template waitlist offers ask customers to reply BOOK
+    if (lowerText === 'book') {
+      const offerDoc = await waitlistService.findOpenOffer(parlourId, fromNumber.startsWith('+') ? fromNumber : `+${fromNumber}`);
+      if (offerDoc) {
+        await this.claimWaitlistOffer(fromNumber, offerDoc.id, businessProfile, parlourId);
+        return;
+      }
+    }
+
+    // Template reminders ask customers to reply CONFIRM
+    if (lowerText === 'confirm') {
+      await this.confirmUpcomingAppointment(fromNumber, businessProfile, parlourId);
+      return;
+    }
     
     if (bookingData) {
       await this.handleBookingRequest(fromNumber, bookingData, businessProfile, parlourId, messageText);
+      return;
+    }
+
+    // Anything else may be a rating or comment for a recent feedback request
+    if (await this.handleFeedbackReply(fromNumber, messageText, businessProfile, parlourId)) {
+      return;
+    }
+
+    if (await handoffService.recordUnrecognized(parlourId, fromNumber)) {
+      // The customer keeps getting the help text, so a person takes over
+      await this.startHandoff(fromNumber, 'unrecognized', businessProfile, parlourId);
     } else {
       // Not a recognized command or booking request
       await whatsappService.sendTextMessage(
@@ -196,6 +425,7 @@ You can type:
 • "services" to see our services
 • "hours" to check our working hours
 • "status" to check your bookings
+• "agent" to talk to someone
 • "help" for more options`
       );
     }
@@ -224,6 +454,15 @@ You can type:
     } else if (payload.startsWith('CANCEL_APPOINTMENT_')) {
       const appointmentId = payload.replace('CANCEL_APPOINTMENT_', '');
       await this.cancelAppointment(fromNumber, appointmentId, parlourId);
+    } else if (payload.startsWith('CONFIRM_')) {
+      const bookingRef = payload.replace('CONFIRM_', '');
+      await this.confirmBooking(fromNumber, bookingRef, businessProfile, parlourId);
+    } else if (payload.startsWith('CANCEL_')) {
+      const bookingRef = payload.replace('CANCEL_', '');
+      await this.handleCancelButton(fromNumber, bookingRef, parlourId);
+    } else if (payload.startsWith('RESCHEDULE_')) {
+      const appointmentId = payload.replace('RESCHEDULE_', '');
+      await this.startReschedule(fromNumber, appointmentId, businessProfile, parlourId);
     } else if (payload === 'VIEW_SERVICES') {
       await this.sendServicesList(fromNumber, businessProfile);
     } else if (payload === 'VIEW_HOURS') {
@@ -260,21 +499,272 @@ You can type:
       } else if (selectedOption.startsWith('DATE_')) {
         const date = selectedOption.replace('DATE_', '');
         await this.handleDateSelection(fromNumber, date, businessProfile, parlourId);
+      } else if (selectedOption.startsWith('FEEDBACK_')) {
+        // FEEDBACK_<appointmentId>_<rating>
+        const match = selectedOption.match(/^FEEDBACK_(.+)_([1-5])$/);
+        if (match) {
+          await this.handleFeedbackRating(fromNumber, match[1], Number(match[2]), businessProfile, parlourId);
+        }
       } else if (selectedOption.startsWith('TIME_')) {
-        const time = selectedOption.replace('TIME_', '');
-        await this.handleTimeSelection(fromNumber, time, businessProfile, parlourId);
+        // TIME_<YYYY-MM-DD>_<time>; older lists only carried the time
+        const match = selectedOption.match(/^TIME_(\d{4}-\d{2}-\d{2})_(.+)$/);
+        const date = match ? match[1] : null;
+        const time = match ? match[2] : selectedOption.replace('TIME_', '');
+        await this.handleTimeSelection(fromNumber, time, businessProfile, parlourId, date);
       }
     } else if (message.interactive.type === 'button_reply') {
       const selectedButton = message.interactive.button_reply.id;
       
-      if (selectedButton.startsWith('CONFIRM_')) {
+      if (selectedButton.startsWith('WAITLIST_CLAIM_')) {
+        const entryId = selectedButton.replace('WAITLIST_CLAIM_', '');
+        await this.claimWaitlistOffer(fromNumber, entryId, businessProfile, parlourId);
+      } else if (selectedButton.startsWith('WAITLIST_DECLINE_')) {
+        const entryId = selectedButton.replace('WAITLIST_DECLINE_', '');
+        await this.declineWaitlistOffer(fromNumber, entryId, parlourId);
+      } else if (selectedButton.startsWith('CONFIRM_')) {
         const bookingRef = selectedButton.replace('CONFIRM_', '');
         await this.confirmBooking(fromNumber, bookingRef, businessProfile, parlourId);
       } else if (selectedButton.startsWith('CANCEL_')) {
         const bookingRef = selectedButton.replace('CANCEL_', '');
-        await this.cancelBookingRequest(fromNumber, bookingRef);
+        await this.handleCancelButton(fromNumber, bookingRef, parlourId);
+      } else if (selectedButton.startsWith('RESCHEDULE_')) {
+        const appointmentId = selectedButton.replace('RESCHEDULE_', '');
+        await this.startReschedule(fromNumber, appointmentId, businessProfile, parlourId);
+      }
+    }
+  }
+
+  /**
+   * Process location messages by sharing the parlour's address
+   * @param {object} message - Message object from WhatsApp
+   * @param {object} metadata - Metadata from WhatsApp
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async processLocationMessage(message, metadata, businessProfile, parlourId) {
+    const address = this.formatAddress(businessProfile.address);
+
+    if (!address) {
+      await whatsappService.sendTextMessage(
+        message.from,
+        `${businessProfile.businessName} hasn't shared their address yet. Please contact them directly for directions.`
+      );
+      return;
+    }
+
+    const { latitude, longitude } = businessProfile.address || {};
+    const query = latitude && longitude
+      ? `${latitude},${longitude}`
+      : encodeURIComponent(`${businessProfile.businessName}, ${address}`);
+
+    await whatsappService.sendTextMessage(
+      message.from,
+      `*${businessProfile.businessName}*\n${address}\n\nDirections: https://www.google.com/maps/search/?api=1&query=${query}`
+    );
+  }
+
+  /**
+   * Process image messages (e.g. reference hairstyles) by attaching them to an appointment
+   * @param {object} message - Message object from WhatsApp
+   * @param {object} metadata - Metadata from WhatsApp
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async processImageMessage(message, metadata, businessProfile, parlourId) {
+    const fromNumber = message.from;
+
+    if (!message.image || !message.image.id) {
+      console.log('Ignoring image message without media id');
+      return;
+    }
+
+    try {
+      const appointmentDoc = await this.findAppointmentForAttachment(fromNumber, parlourId);
+
+      if (!appointmentDoc) {
+        await whatsappService.sendTextMessage(
+          fromNumber,
+          'Thanks for the photo! You don\'t have an upcoming appointment to attach it to yet. Please book first and then send it again.'
+        );
+        return;
+      }
+
+      const media = await whatsappService.downloadMedia(message.image.id);
+      const storagePath = await mediaService.storeMedia(
+        parlourId,
+        `appointments/${appointmentDoc.id}`,
+        message.image.id,
+        media
+      );
+
+      await appointmentDoc.ref.update({
+        attachments: firebaseAdmin.firestore.FieldValue.arrayUnion({
+          mediaId: message.image.id,
+          storagePath,
+          mimeType: media.mimeType,
+          caption: message.image.caption || '',
+          receivedAt: new Date().toISOString()
+        }),
+        updatedAt: new Date().toISOString()
+      });
+
+      const appointment = appointmentDoc.data();
+
+      await whatsappService.sendTextMessage(
+        fromNumber,
+        `Thanks! We've added your photo to your ${appointment.serviceName} appointment on ${appointment.appointmentDate} at ${appointment.appointmentTime}.`
+      );
+    } catch (error) {
+      console.error('Error processing image message:', error);
+      await whatsappService.sendTextMessage(
+        fromNumber,
+        'Sorry, we couldn\'t save your photo. Please try sending it again.'
+      );
+    }
+  }
+
+  /**
+   * Process voice notes by saving them and flagging them for the owner
+   * @param {object} message - Message object from WhatsApp
+   * @param {object} metadata - Metadata from WhatsApp
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async processAudioMessage(message, metadata, businessProfile, parlourId) {
+    const fromNumber = message.from;
+    const formattedPhone = fromNumber.startsWith('+') ? fromNumber : `+${fromNumber}`;
+
+    if (!message.audio || !message.audio.id) {
+      console.log('Ignoring audio message without media id');
+      return;
+    }
+
+    let storagePath = null;
+
+    try {
+      const media = await whatsappService.downloadMedia(message.audio.id);
+      storagePath = await mediaService.storeMedia(parlourId, 'voice-notes', message.audio.id, media);
+    } catch (error) {
+      // Still flag the note so the owner knows to call the customer back
+      console.error('Error saving voice note:', error);
+    }
+
+    await db.collection('customerFlags').add({
+      parlourId,
+      customerPhone: formattedPhone,
+      type: 'voice_note',
+      mediaId: message.audio.id,
+      storagePath,
+      resolved: false,
+      createdAt: new Date().toISOString()
+    });
+
+    await whatsappService.sendTextMessage(
+      fromNumber,
+      `Thanks for your voice note! We've passed it on to the ${businessProfile.businessName} team and they'll get back to you soon.\n\nTo book right away, send a message like: "Book Haircut tomorrow at 2 PM"`
+    );
+  }
+
+  /**
+   * Process shared contacts so customers can book for someone else
+   * @param {object} message - Message object from WhatsApp
+   * @param {object} metadata - Metadata from WhatsApp
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async processContactsMessage(message, metadata, businessProfile, parlourId) {
+    const fromNumber = message.from;
+    const contact = (message.contacts || [])[0];
+    const contactPhone = contact && contact.phones && contact.phones.length
+      ? (contact.phones[0].wa_id || contact.phones[0].phone)
+      : null;
+
+    if (!contact || !contactPhone) {
+      await whatsappService.sendTextMessage(
+        fromNumber,
+        'Sorry, that contact doesn\'t have a phone number. Please share a contact with a phone number to book for them.'
+      );
+      return;
+    }
+
+    const digits = contactPhone.replace(/[^\d]/g, '');
+    const name = (contact.name && (contact.name.formatted_name || contact.name.first_name)) || `+${digits}`;
+
+    // Keep any booking already in progress, just change who it is for
+    const session = await sessionService.getSession(parlourId, fromNumber);
+
+    await sessionService.saveSession(parlourId, fromNumber, {
+      step: session ? session.step : SESSION_STEPS.SELECT_SERVICE,
+      bookingFor: {
+        name,
+        phone: `+${digits}`
+      }
+    });
+
+    if (session) {
+      await whatsappService.sendTextMessage(
+        fromNumber,
+        `Got it, this booking is for *${name}*. Please continue with your booking.`
+      );
+      return;
+    }
+
+    await whatsappService.sendTextMessage(
+      fromNumber,
+      `Got it, you're booking for *${name}*. Which service would they like? Reply with the service name.`
+    );
+    await this.sendServicesList(fromNumber, businessProfile);
+  }
+
+  /**
+   * Find the customer's pending booking or else their next upcoming appointment
+   * @param {string} phone - Customer phone number
+   * @param {string} parlourId - Parlour ID
+   * @returns {Promise<object|null>} - Appointment document snapshot or null
+   */
+  async findAppointmentForAttachment(phone, parlourId) {
+    const session = await sessionService.getSession(parlourId, phone);
+
+    if (session && session.appointmentId) {
+      const pendingDoc = await db.collection('appointments').doc(session.appointmentId).get();
+      if (pendingDoc.exists) {
+        return pendingDoc;
       }
     }
+
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const snapshot = await db.collection('appointments')
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', formattedPhone)
+      .where('status', 'in', ['scheduled', 'confirmed'])
+      .where('appointmentDate', '>=', new Date().toISOString().split('T')[0])
+      .orderBy('appointmentDate', 'asc')
+      .orderBy('appointmentTime', 'asc')
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  /**
+   * Format a business address for a message
+   * @param {object|string} address - Address from the business profile
+   * @returns {string} - Single-line address, empty if none is set
+   */
+  formatAddress(address) {
+    if (!address) {
+      return '';
+    }
+
+    if (typeof address === 'string') {
+      return address.trim();
+    }
+
+    const parts = ['line1', 'line2', 'street', 'area', 'city', 'state', 'pincode', 'postalCode', 'country'];
+    return parts
+      .map(part => address[part])
+      .filter(Boolean)
+      .join(', ');
   }
 
   /**
@@ -403,10 +893,10 @@ Type "help" for more options.`
         message += `Date: ${appointment.appointmentDate}\n`;
         message += `Time: ${appointment.appointmentTime}\n`;
         message += `Status: ${appointment.status.charAt(0).toUpperCase() + appointment.status.slice(1)}\n`;
-        message += `Ref: ${doc.id.substring(0, 8)}\n\n`;
+        message += `Ref: ${this.getReference(doc)}\n\n`;
       });
       
-      message += 'To cancel an appointment, type "cancel" followed by the reference number.';
+      message += 'To cancel or move an appointment, type "cancel" or "reschedule" followed by the reference number.';
       
       await whatsappService.sendTextMessage(phone, message);
     } catch (error) {
@@ -452,10 +942,10 @@ Type "help" for more options.`
         const appointment = doc.data();
         
         message += `*${appointment.serviceName}* on ${appointment.appointmentDate} at ${appointment.appointmentTime}\n`;
-        message += `Ref: ${doc.id.substring(0, 8)}\n\n`;
+        message += `Ref: ${this.getReference(doc)}\n\n`;
       });
       
-      message += 'Example: "cancel abc123de"';
+      message += 'Example: "cancel K7M2QX"';
       
       await whatsappService.sendTextMessage(phone, message);
     } catch (error) {
@@ -478,19 +968,7 @@ Type "help" for more options.`
       // Format phone number
       const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
       
-      // Find all appointments for this parlour
-      const snapshot = await db.collection('appointments').get();
-      
-      // Look for matching appointment by partial ID
-      let appointmentDoc = null;
-      let appointmentId = null;
-      
-      snapshot.forEach(doc => {
-        if (doc.id.startsWith(refCode) && doc.data().parlourId === parlourId && doc.data().customerPhone === formattedPhone) {
-          appointmentDoc = doc;
-          appointmentId = doc.id;
-        }
-      });
+      const appointmentDoc = await this.findCustomerAppointment(phone, refCode, parlourId);
       
       if (!appointmentDoc) {
         await whatsappService.sendTextMessage(
@@ -500,6 +978,7 @@ Type "help" for more options.`
         return;
       }
       
+      const appointmentId = appointmentDoc.id;
       const appointment = appointmentDoc.data();
       
       // Check if the appointment is already cancelled
@@ -513,15 +992,25 @@ Type "help" for more options.`
       
       // Cancel the appointment
       await db.collection('appointments').doc(appointmentId).update({
-        status: 'cancelled',
-        updatedAt: new Date().toISOString(),
-        notes: appointment.notes + '\nCancelled via WhatsApp by customer on ' + new Date().toISOString()
+        ...bookingService.statusChange(appointment.status, 'cancelled', {
+          role: 'customer',
+          id: formattedPhone,
+          channel: 'whatsapp'
+        }),
+        notes: (appointment.notes || '') + '\nCancelled via WhatsApp by customer on ' + new Date().toISOString()
       });
       
       await whatsappService.sendTextMessage(
         phone,
-        `Your appointment for ${appointment.serviceName} on ${appointment.appointmentDate} at ${appointment.appointmentTime} has been cancelled. Thank you for letting us know.`
+        `Your appointment for ${appointment.serviceName} on ${appointment.appointmentDate} at ${appointment.appointmentTime} has been cancelled. Thank you for letting us know.`,
+        { appointmentId, parlourId, kind: 'cancellation' }
       );
+
+      try {
+        await waitlistService.offerFreedSlot(parlourId, appointment);
+      } catch (waitlistError) {
+        console.error('Error offering cancelled slot to waitlist:', waitlistError);
+      }
     } catch (error) {
       console.error('Error cancelling appointment:', error);
       await whatsappService.sendTextMessage(
@@ -546,6 +1035,9 @@ Type "help" for more options.`
       '• "hours" - Check our working hours\n' +
       '• "status" - Check your booking status\n' +
       '• "cancel" - Cancel an appointment\n' +
+      '• "reschedule" - Move an appointment to another time\n' +
+      '• "waitlist [service] [date]" - Get offered a slot if one frees up\n' +
+      '• "agent" - Talk to someone from our team\n' +
       '• "help" - Show this help message\n\n' +
       `For direct assistance, please call ${businessProfile.phone || 'the salon'}.`
     );
@@ -685,7 +1177,7 @@ Type "help" for more options.`
    */
   async handleBookingRequest(phone, bookingData, businessProfile, parlourId, originalMessage) {
     try {
-      const { service, date, time } = bookingData;
+      const { service, date, time, bookingFor } = bookingData;
 
       // Format phone number
       const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
@@ -730,16 +1222,25 @@ Type "help" for more options.`
         return;
       }
 
-      // Create appointment
-      const appointmentData = {
+      // Check the requested time with the same rules as booking; free slots are only suggestions
+      const appointmentTime = this.parseTime(time) || time;
+
+      if (!(await availabilityService.isTimeFree(parlourId, businessProfile, matchingService, parsedDate, appointmentTime))) {
+        await this.sendSlotUnavailable(phone, parlourId, businessProfile, matchingService, parsedDate, appointmentTime);
+        return;
+      }
+
+      // Create appointment
+      const appointmentData = {
         parlourId,
         businessName: businessProfile.businessName,
-        customerName: `WhatsApp Customer (${formattedPhone})`,
+        customerName: bookingFor ? bookingFor.name : `WhatsApp Customer (${formattedPhone})`,
         customerPhone: formattedPhone,
+        bookedFor: bookingFor || null,
         serviceId: matchingService.id,
         serviceName: matchingService.name,
         appointmentDate: parsedDate,
-        appointmentTime: time,
+        appointmentTime,
         duration: matchingService.duration || 60,
         price: matchingService.price || 0,
         status: 'scheduled',
@@ -748,13 +1249,21 @@ Type "help" for more options.`
         notes: `Booked via WhatsApp with message: "${originalMessage}"`
       };
 
-      // Save to Firestore
-      const appointmentRef = await db.collection('appointments').add(appointmentData);
+      // Save to Firestore; the slot is checked again in case it was just taken
+      const result = await bookingService.createAppointment(businessProfile, appointmentData);
+
+      if (!result.appointmentId) {
+        await this.sendSlotUnavailable(phone, parlourId, businessProfile, matchingService, parsedDate, appointmentTime);
+        return;
+      }
 
       // Send confirmation
       await whatsappService.sendAppointmentConfirmation(
         phone,
         {
+          appointmentId: result.appointmentId,
+          referenceCode: result.referenceCode,
+          parlourId,
           customerName: appointmentData.customerName,
           serviceName: appointmentData.serviceName,
           date: appointmentData.appointmentDate,
@@ -762,7 +1271,7 @@ Type "help" for more options.`
         }
       );
 
-      console.log(`Created appointment ${appointmentRef.id} from WhatsApp`);
+      console.log(`Created appointment ${result.appointmentId} from WhatsApp`);
     } catch (error) {
       console.error('Error handling booking request:', error);
       await whatsappService.sendTextMessage(
@@ -894,6 +1403,161 @@ Type "help" for more options.`
     }
   }
   
+  /**
+   * Parse a free-text date reply from the guided booking flow
+   * @param {string} text - Date text from message
+   * @returns {string|null} - ISO date string or null if the text is not a date
+   */
+  parseSessionDate(text) {
+    const lowerText = text.toLowerCase().trim();
+
+    if (lowerText === 'next week') {
+      const nextWeek = new Date();
+      nextWeek.setDate(nextWeek.getDate() + 7);
+      return nextWeek.toISOString().split('T')[0];
+    }
+
+    // parseDate falls back to today for anything it can't read,
+    // so only hand it text that looks like a date
+    const datePattern = /\d|today|tomorrow|sunday|monday|tuesday|wednesday|thursday|friday|saturday|jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec/;
+    if (!datePattern.test(lowerText)) {
+      return null;
+    }
+
+    return this.parseDateExpression(text);
+  }
+
+  /**
+   * Parse time string to a display format like "3:30 PM"
+   * @param {string} timeStr - Time string from message
+   * @returns {string|null} - Formatted time or null if parsing failed
+   */
+  parseTime(timeStr) {
+    const match = timeStr.trim().toLowerCase()
+      .match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(?:([ap])\.?\s*m\.?)?$/);
+
+    if (!match) {
+      return null;
+    }
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    let meridiem = match[3] ? `${match[3]}m` : null;
+
+    if (minutes > 59) {
+      return null;
+    }
+
+    if (meridiem) {
+      if (hours < 1 || hours > 12) {
+        return null;
+      }
+    } else {
+      if (hours > 23) {
+        return null;
+      }
+
+      if (hours >= 12) {
+        meridiem = 'pm';
+        if (hours > 12) hours -= 12;
+      } else if (hours === 0) {
+        hours = 12;
+        meridiem = 'am';
+      } else {
+        // Without AM/PM, small hours like "3" mean the afternoon at a parlour
+        meridiem = hours < 8 ? 'pm' : 'am';
+      }
+    }
+
+    return `${hours}:${minutes.toString().padStart(2, '0')} ${meridiem.toUpperCase()}`;
+  }
+
+  /**
+   * Interpret a free-text reply in light of the customer's booking session
+   * @param {string} phone - Customer phone number
+   * @param {string} messageText - Message text
+   * @param {object} session - Active session data
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async handleSessionReply(phone, messageText, session, businessProfile, parlourId) {
+    const lowerText = messageText.toLowerCase().trim();
+
+    if (['no', 'n', 'start over', 'restart'].includes(lowerText)) {
+      if (session.rescheduleAppointmentId) {
+        await sessionService.clearSession(parlourId, phone);
+        await whatsappService.sendTextMessage(
+          phone,
+          'Okay, we\'ve stopped rescheduling. Your appointment is unchanged.'
+        );
+        return;
+      }
+
+      await this.cancelBookingRequest(phone, session.appointmentId, parlourId);
+      return;
+    }
+
+    switch (session.step) {
+      case SESSION_STEPS.SELECT_SERVICE: {
+        const services = businessProfile.services || [];
+        const service = services.find(s => s.name.toLowerCase() === lowerText) ||
+          services.find(s => s.name.toLowerCase().includes(lowerText));
+
+        if (!service) {
+          await whatsappService.sendTextMessage(
+            phone,
+            'Sorry, I couldn\'t find that service. Please reply with one of the service names, or "no" to start over.'
+          );
+          return;
+        }
+
+        await this.handleServiceSelection(phone, service.id, businessProfile, parlourId);
+        return;
+      }
+      case SESSION_STEPS.SELECT_DATE: {
+        const date = this.parseSessionDate(messageText);
+
+        if (!date) {
+          await whatsappService.sendTextMessage(
+            phone,
+            'Sorry, I couldn\'t understand that date. Please reply with something like "tomorrow", "next Monday" or "15th May", or "no" to start over.'
+          );
+          return;
+        }
+
+        await this.handleDateSelection(phone, date, businessProfile, parlourId);
+        return;
+      }
+      case SESSION_STEPS.SELECT_TIME: {
+        if (!this.parseTime(messageText)) {
+          await whatsappService.sendTextMessage(
+            phone,
+            'Sorry, I couldn\'t understand that time. Please reply with something like "11 AM" or "3:30 PM", or "no" to start over.'
+          );
+          return;
+        }
+
+        await this.handleTimeSelection(phone, messageText, businessProfile, parlourId);
+        return;
+      }
+      case SESSION_STEPS.CONFIRM: {
+        if (['yes', 'y', 'confirm', 'ok'].includes(lowerText)) {
+          await this.confirmBooking(phone, session.appointmentId, businessProfile, parlourId);
+          return;
+        }
+
+        await whatsappService.sendTextMessage(
+          phone,
+          'Please reply "yes" to confirm your booking or "no" to start over.'
+        );
+        return;
+      }
+      default:
+        await sessionService.clearSession(parlourId, phone);
+        await this.sendHelpMessage(phone, businessProfile);
+    }
+  }
+
   /**
    * Handle service selection
    * @param {string} phone - Customer phone number
@@ -913,35 +1577,42 @@ Type "help" for more options.`
         );
         return;
       }
-      
-      // Store the selection in session
-      // Note: In a real implementation, you would store this in a database or cache
-      // For simplicity, we'll use temporary storage or a more sophisticated solution
 
-      // For now, prompt for date
-      const today = new Date();
-      const tomorrow = new Date(today);
-      tomorrow.setDate(today.getDate() + 1);
-      
-      const dayAfter = new Date(today);
-      dayAfter.setDate(today.getDate() + 2);
-      
-      const nextWeek = new Date(today);
-      nextWeek.setDate(today.getDate() + 7);
-      
-      // Format dates
-      const formatDate = (date) => {
-        return date.toLocaleDateString('en-US', {
-          weekday: 'long',
-          month: 'long',
-          day: 'numeric'
-        });
-      };
-      
-      await whatsappService.sendTextMessage(
-        phone,
-        `You've selected: *${service.name}*\n\nPlease reply with your preferred date:\n• Today (${formatDate(today)})\n• Tomorrow (${formatDate(tomorrow)})\n• ${formatDate(dayAfter)}\n• Next week\n\nOr type a specific date like "15th May"`
+      // Drop any half-finished booking before starting a new one
+      const existingSession = await sessionService.getSession(parlourId, phone);
+      if (existingSession) {
+        await this.discardPendingBooking(existingSession.appointmentId, parlourId);
+      }
+
+      await sessionService.saveSession(parlourId, phone, {
+        step: SESSION_STEPS.SELECT_DATE,
+        serviceId: service.id,
+        serviceName: service.name,
+        duration: service.duration || 60,
+        price: service.price || 0,
+        date: null,
+        time: null,
+        appointmentId: null,
+        rescheduleAppointmentId: null
+      });
+
+      // Offer only days that still have room for this service
+      const openDays = await availabilityService.getOpenDays(
+        parlourId,
+        businessProfile,
+        service,
+        availabilityService.toDateString(new Date())
       );
+
+      if (openDays.length === 0) {
+        await whatsappService.sendTextMessage(
+          phone,
+          `Sorry, there are no free slots for ${service.name} in the coming weeks. Please contact ${businessProfile.businessName} directly.`
+        );
+        return;
+      }
+
+      await whatsappService.sendDateListInteractive(phone, service.name, openDays);
     } catch (error) {
       console.error('Error handling service selection:', error);
       await whatsappService.sendTextMessage(
@@ -960,16 +1631,55 @@ Type "help" for more options.`
    */
   async handleDateSelection(phone, dateStr, businessProfile, parlourId) {
     try {
+      const session = await sessionService.getSession(parlourId, phone);
+
+      if (!session || !session.serviceId) {
+        await whatsappService.sendTextMessage(
+          phone,
+          'Please choose a service first. Type "services" to see what we offer.'
+        );
+        return;
+      }
+
       const parsedDate = this.parseDate(dateStr);
-      
-      // Store the selection
-      // In a real implementation, store this in a database
-      
-      // Prompt for time
-      await whatsappService.sendTextMessage(
-        phone,
-        `You've selected: *${parsedDate}*\n\nPlease reply with your preferred time:\n• Morning (9 AM - 12 PM)\n• Afternoon (12 PM - 4 PM)\n• Evening (4 PM - 8 PM)\n\nOr type a specific time like "3:30 PM"`
+
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+
+      const selectedDate = new Date(parsedDate);
+      selectedDate.setHours(0, 0, 0, 0);
+
+      if (selectedDate < today) {
+        await whatsappService.sendTextMessage(
+          phone,
+          'Sorry, you cannot book an appointment in the past. Please provide a future date.'
+        );
+        return;
+      }
+
+      const slots = await availabilityService.getAvailableSlots(
+        parlourId,
+        businessProfile,
+        { id: session.serviceId, duration: session.duration },
+        parsedDate,
+        { excludeAppointmentId: session.rescheduleAppointmentId || session.appointmentId }
       );
+
+      if (slots.length === 0) {
+        await whatsappService.sendTextMessage(
+          phone,
+          `Sorry, there are no free slots for ${session.serviceName} on ${parsedDate}. Please reply with another date.`
+        );
+        return;
+      }
+
+      await sessionService.saveSession(parlourId, phone, {
+        step: SESSION_STEPS.SELECT_TIME,
+        date: parsedDate
+      });
+      
+      // Prompt for time with the slots that are actually free
+      await whatsappService.sendTimeSlotListInteractive(phone, session.serviceName, parsedDate, slots);
     } catch (error) {
       console.error('Error handling date selection:', error);
       await whatsappService.sendTextMessage(
@@ -981,20 +1691,147 @@ Type "help" for more options.`
 
   /**
    * Handle time selection
+   * Creates a pending appointment that the customer then confirms
    * @param {string} phone - Customer phone number
    * @param {string} timeStr - Selected time string
    * @param {object} businessProfile - Business profile data
    * @param {string} parlourId - Parlour ID
+   * @param {string|null} selectedDate - Date from a time list reply, overrides the session date
    */
-  async handleTimeSelection(phone, timeStr, businessProfile, parlourId) {
+  async handleTimeSelection(phone, timeStr, businessProfile, parlourId, selectedDate = null) {
     try {
-      // Normally, you would retrieve the stored service and date from your database
-      // For this example, we'll just acknowledge the time selection
-      
-      await whatsappService.sendTextMessage(
-        phone,
-        `You've selected: *${timeStr}*\n\nWould you like to confirm this booking? Reply with "yes" to confirm or "no" to start over.`
+      const session = await sessionService.getSession(parlourId, phone);
+
+      // A time picked from a list carries its own date
+      const date = selectedDate || (session && session.date);
+
+      if (!session || !session.serviceId || !date) {
+        await whatsappService.sendTextMessage(
+          phone,
+          'Please choose a service and date first. Type "services" to start a booking.'
+        );
+        return;
+      }
+
+      const time = this.parseTime(timeStr);
+
+      if (!time) {
+        await whatsappService.sendTextMessage(
+          phone,
+          'Sorry, I couldn\'t understand that time. Please reply with something like "11 AM" or "3:30 PM".'
+        );
+        return;
+      }
+
+      const excludeAppointmentId = session.rescheduleAppointmentId || session.appointmentId;
+      const free = await availabilityService.isTimeFree(
+        parlourId,
+        businessProfile,
+        { id: session.serviceId, duration: session.duration },
+        date,
+        time,
+        { excludeAppointmentId }
       );
+
+      if (!free) {
+        await this.sendSlotUnavailable(
+          phone,
+          parlourId,
+          businessProfile,
+          { id: session.serviceId, name: session.serviceName, duration: session.duration },
+          date,
+          time,
+          null,
+          excludeAppointmentId
+        );
+        return;
+      }
+
+      if (session.rescheduleAppointmentId) {
+        await this.applyReschedule(phone, session, date, time, businessProfile, parlourId);
+        return;
+      }
+
+      const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+      const appointmentData = {
+        parlourId,
+        businessName: businessProfile.businessName,
+        customerName: session.bookingFor ? session.bookingFor.name : `WhatsApp Customer (${formattedPhone})`,
+        customerPhone: formattedPhone,
+        bookedFor: session.bookingFor || null,
+        serviceId: session.serviceId,
+        serviceName: session.serviceName,
+        staffId: null, // Re-assigned to a free stylist whenever the time changes
+        appointmentDate: date,
+        appointmentTime: time,
+        duration: session.duration || 60,
+        price: session.price || 0,
+        status: 'pending',
+        updatedAt: new Date().toISOString(),
+        notes: 'Booked via WhatsApp guided booking'
+      };
+
+      // Reuse the pending appointment if the customer changes their time
+      const existingDoc = session.appointmentId
+        ? await db.collection('appointments').doc(session.appointmentId).get()
+        : null;
+
+      let result;
+      if (existingDoc && existingDoc.exists && existingDoc.data().status === 'pending') {
+        result = await bookingService.updateAppointment(businessProfile, existingDoc.id, existingDoc.data(), appointmentData);
+      } else {
+        appointmentData.createdAt = new Date().toISOString();
+        result = await bookingService.createAppointment(businessProfile, appointmentData);
+      }
+
+      if (!result.appointmentId) {
+        await this.sendSlotUnavailable(
+          phone,
+          parlourId,
+          businessProfile,
+          { id: session.serviceId, name: session.serviceName, duration: session.duration },
+          date,
+          time,
+          null,
+          session.appointmentId
+        );
+        return;
+      }
+
+      const { appointmentId, staffName } = result;
+
+      await sessionService.saveSession(parlourId, phone, {
+        step: SESSION_STEPS.CONFIRM,
+        date,
+        time,
+        appointmentId
+      });
+
+      let summary = `*Booking Summary*\nService: ${session.serviceName}\nDate: ${date}\nTime: ${time}`;
+      if (staffName) {
+        summary += `\nStylist: ${staffName}`;
+      }
+      if (session.bookingFor) {
+        summary += `\nFor: ${session.bookingFor.name}`;
+      }
+
+      try {
+        await whatsappService.sendButtonMessage(
+          phone,
+          `${summary}\n\nWould you like to confirm this booking?`,
+          [
+            { id: `CONFIRM_${appointmentId}`, title: 'Confirm' },
+            { id: `CANCEL_${appointmentId}`, title: 'Start over' }
+          ]
+        );
+      } catch (buttonError) {
+        console.error('Error sending confirmation buttons:', buttonError);
+        await whatsappService.sendTextMessage(
+          phone,
+          `${summary}\n\nWould you like to confirm this booking? Reply with "yes" to confirm or "no" to start over.`
+        );
+      }
     } catch (error) {
       console.error('Error handling time selection:', error);
       await whatsappService.sendTextMessage(
@@ -1013,31 +1850,98 @@ Type "help" for more options.`
    */
   async confirmBooking(phone, bookingRef, businessProfile, parlourId) {
     try {
-      // In a real implementation, retrieve the pending booking from the database
-      
-      // Update status to confirmed
-      const appointmentRef = db.collection('appointments').doc(bookingRef);
-      const appointmentDoc = await appointmentRef.get();
-      
-      if (!appointmentDoc.exists) {
+      // Only the customer who made the booking, at this parlour, can confirm it
+      const appointmentDoc = await this.findCustomerAppointment(phone, bookingRef, parlourId);
+
+      if (!appointmentDoc) {
         await whatsappService.sendTextMessage(
           phone,
           'Sorry, we couldn\'t find your booking. Please try again.'
         );
         return;
       }
-      
+
       const appointment = appointmentDoc.data();
-      
-      await appointmentRef.update({
-        status: 'confirmed',
-        updatedAt: new Date().toISOString()
-      });
-      
-      await whatsappService.sendTextMessage(
-        phone,
-        `Your booking has been confirmed!\n\n*Booking Details*\nService: ${appointment.serviceName}\nDate: ${appointment.appointmentDate}\nTime: ${appointment.appointmentTime}\n\nWe look forward to seeing you!`
+      const appointmentId = appointmentDoc.id;
+
+      if (appointment.status === 'cancelled') {
+        await whatsappService.sendTextMessage(
+          phone,
+          'This booking has been cancelled. You can start a new booking anytime.'
+        );
+        return;
+      }
+
+      if (appointment.status === 'confirmed') {
+        await whatsappService.sendTextMessage(
+          phone,
+          `Your ${appointment.serviceName} appointment on ${appointment.appointmentDate} at ${appointment.appointmentTime} is already confirmed. See you then!`
+        );
+        return;
+      }
+
+      if (!['pending', 'scheduled'].includes(appointment.status)) {
+        await whatsappService.sendTextMessage(
+          phone,
+          `This booking is ${appointment.status} and can no longer be confirmed.`
+        );
+        return;
+      }
+
+      const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+      // A hold that outlived the session may have lost its slot in the meantime
+      const result = await bookingService.updateAppointment(
+        businessProfile,
+        appointmentId,
+        appointment,
+        bookingService.statusChange(appointment.status, 'confirmed', {
+          role: 'customer',
+          id: formattedPhone,
+          channel: 'whatsapp'
+        })
       );
+
+      if (!result.appointmentId) {
+        await this.discardPendingBooking(appointmentId, parlourId);
+        await sessionService.clearSession(parlourId, phone);
+        await this.sendSlotUnavailable(
+          phone,
+          parlourId,
+          businessProfile,
+          { id: appointment.serviceId, name: appointment.serviceName, duration: appointment.duration },
+          appointment.appointmentDate,
+          appointment.appointmentTime
+        );
+        return;
+      }
+
+      // Confirming from a reminder shouldn't end an unrelated booking in progress
+      if (appointment.status === 'pending') {
+        await sessionService.clearSession(parlourId, phone);
+      }
+
+      const reference = this.getReference(appointmentDoc);
+      const confirmation = `Your booking has been confirmed!\n\n*Booking Details*\nService: ${appointment.serviceName}\nDate: ${appointment.appointmentDate}\nTime: ${appointment.appointmentTime}\nRef: ${reference}\n\nWe look forward to seeing you!`;
+      const context = { appointmentId, parlourId, kind: 'confirmation' };
+
+      try {
+        await whatsappService.sendButtonMessage(
+          phone,
+          confirmation,
+          [{ id: `RESCHEDULE_${appointmentId}`, title: 'Reschedule' }],
+          null,
+          null,
+          context
+        );
+      } catch (buttonError) {
+        console.error('Error sending confirmation buttons:', buttonError);
+        await whatsappService.sendTextMessage(
+          phone,
+          `${confirmation}\n\nNeed another time? Reply "reschedule ${reference}".`,
+          context
+        );
+      }
     } catch (error) {
       console.error('Error confirming booking:', error);
       await whatsappService.sendTextMessage(
@@ -1048,18 +1952,687 @@ Type "help" for more options.`
   }
 
   /**
-   * Cancel booking request
+   * Find one of a customer's appointments by id or reference code
+   * Lookups are scoped to the parlour and the customer's own phone number.
    * @param {string} phone - Customer phone number
-   * @param {string} bookingRef - Booking reference
+   * @param {string} ref - Appointment ID (from buttons) or reference code (typed)
+   * @param {string} parlourId - Parlour ID
+   * @returns {Promise<object|null>} - Appointment document snapshot or null
    */
-  async cancelBookingRequest(phone, bookingRef) {
-    try {
-      // In a real implementation, you would retrieve and delete the pending booking
-      
-      await whatsappService.sendTextMessage(
-        phone,
-        'Your booking request has been cancelled. You can start a new booking anytime.'
-      );
+  async findCustomerAppointment(phone, ref, parlourId) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+    if (!ref || ref.includes('/')) {
+      return null;
+    }
+
+    const appointmentDoc = await db.collection('appointments').doc(ref).get();
+    if (appointmentDoc.exists) {
+      const appointment = appointmentDoc.data();
+      return appointment.parlourId === parlourId && appointment.customerPhone === formattedPhone
+        ? appointmentDoc
+        : null;
+    }
+
+    const snapshot = await db.collection('appointments')
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', formattedPhone)
+      .where('referenceCode', '==', ref.toUpperCase())
+      .limit(1)
+      .get();
+
+    if (!snapshot.empty) {
+      return snapshot.docs[0];
+    }
+
+    // Appointments made before reference codes were shown by id prefix
+    const legacySnapshot = await db.collection('appointments')
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', formattedPhone)
+      .where('status', 'in', ['scheduled', 'confirmed'])
+      .get();
+
+    return legacySnapshot.docs.find(doc => !doc.data().referenceCode && doc.id.startsWith(ref)) || null;
+  }
+
+  /**
+   * Get the reference customers use for an appointment
+   * @param {object} appointmentDoc - Appointment document snapshot
+   * @returns {string} - Reference code, or the id prefix for older appointments
+   */
+  getReference(appointmentDoc) {
+    return appointmentDoc.data().referenceCode || appointmentDoc.id.substring(0, 8);
+  }
+
+  /**
+   * List a customer's upcoming appointments that can be rescheduled
+   * @param {string} phone - Customer phone number
+   * @param {string} parlourId - Parlour ID
+   */
+  async handleRescheduleRequest(phone, parlourId) {
+    try {
+      const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+      const snapshot = await db.collection('appointments')
+        .where('parlourId', '==', parlourId)
+        .where('customerPhone', '==', formattedPhone)
+        .where('status', 'in', ['scheduled', 'confirmed'])
+        .orderBy('appointmentDate', 'asc')
+        .orderBy('appointmentTime', 'asc')
+        .limit(5)
+        .get();
+
+      if (snapshot.empty) {
+        await whatsappService.sendTextMessage(
+          phone,
+          'You don\'t have any upcoming appointments to reschedule.'
+        );
+        return;
+      }
+
+      let message = 'To reschedule, reply with "reschedule" followed by the reference number:\n\n';
+
+      snapshot.forEach(doc => {
+        const appointment = doc.data();
+
+        message += `*${appointment.serviceName}* on ${appointment.appointmentDate} at ${appointment.appointmentTime}\n`;
+        message += `Ref: ${this.getReference(doc)}\n\n`;
+      });
+
+      message += 'Example: "reschedule K7M2QX"';
+
+      await whatsappService.sendTextMessage(phone, message);
+    } catch (error) {
+      console.error('Error handling reschedule request:', error);
+      await whatsappService.sendTextMessage(
+        phone,
+        'Sorry, we encountered an error. Please try again later.'
+      );
+    }
+  }
+
+  /**
+   * Start moving an existing appointment to a new date and time
+   * Reuses the guided booking flow with the session pointing at the appointment.
+   * @param {string} phone - Customer phone number
+   * @param {string} ref - Appointment ID or reference
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async startReschedule(phone, ref, businessProfile, parlourId) {
+    try {
+      const appointmentDoc = await this.findCustomerAppointment(phone, ref, parlourId);
+
+      if (!appointmentDoc) {
+        await whatsappService.sendTextMessage(
+          phone,
+          'Sorry, we couldn\'t find an appointment with that reference code. Type "reschedule" to see your upcoming appointments.'
+        );
+        return;
+      }
+
+      const appointment = appointmentDoc.data();
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        await whatsappService.sendTextMessage(
+          phone,
+          `This appointment is ${appointment.status} and can't be rescheduled. You can start a new booking anytime.`
+        );
+        return;
+      }
+
+      const service = (businessProfile.services || []).find(s => s.id === appointment.serviceId) || {
+        id: appointment.serviceId,
+        name: appointment.serviceName,
+        duration: appointment.duration,
+        price: appointment.price
+      };
+
+      // Drop any half-finished booking before starting
+      const existingSession = await sessionService.getSession(parlourId, phone);
+      if (existingSession) {
+        await this.discardPendingBooking(existingSession.appointmentId, parlourId);
+      }
+
+      await sessionService.saveSession(parlourId, phone, {
+        step: SESSION_STEPS.SELECT_DATE,
+        serviceId: service.id || null,
+        serviceName: service.name,
+        duration: service.duration || 60,
+        price: service.price || 0,
+        bookingFor: appointment.bookedFor || null,
+        date: null,
+        time: null,
+        appointmentId: null,
+        rescheduleAppointmentId: appointmentDoc.id
+      });
+
+      const openDays = await availabilityService.getOpenDays(
+        parlourId,
+        businessProfile,
+        service,
+        availabilityService.toDateString(new Date()),
+        { excludeAppointmentId: appointmentDoc.id }
+      );
+
+      if (openDays.length === 0) {
+        await sessionService.clearSession(parlourId, phone);
+        await whatsappService.sendTextMessage(
+          phone,
+          `Sorry, there are no other free slots for ${service.name} in the coming weeks. Your appointment on ${appointment.appointmentDate} at ${appointment.appointmentTime} is unchanged.`
+        );
+        return;
+      }
+
+      await whatsappService.sendTextMessage(
+        phone,
+        `Let's move your *${service.name}* appointment on ${appointment.appointmentDate} at ${appointment.appointmentTime}. It stays booked until you pick a new time. Reply "no" to keep it as it is.`
+      );
+      await whatsappService.sendDateListInteractive(phone, service.name, openDays);
+    } catch (error) {
+      console.error('Error starting reschedule:', error);
+      await whatsappService.sendTextMessage(
+        phone,
+        'Sorry, we encountered an error rescheduling your appointment. Please try again later or contact the parlour directly.'
+      );
+    }
+  }
+
+  /**
+   * Move the appointment being rescheduled to the chosen date and time
+   * @param {string} phone - Customer phone number
+   * @param {object} session - Booking session with rescheduleAppointmentId
+   * @param {string} date - New date as YYYY-MM-DD
+   * @param {string} time - New time
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async applyReschedule(phone, session, date, time, businessProfile, parlourId) {
+    const appointmentId = session.rescheduleAppointmentId;
+    const appointmentDoc = await this.findCustomerAppointment(phone, appointmentId, parlourId);
+    const appointment = appointmentDoc ? appointmentDoc.data() : null;
+
+    if (!appointment || !['scheduled', 'confirmed'].includes(appointment.status)) {
+      await sessionService.clearSession(parlourId, phone);
+      await whatsappService.sendTextMessage(
+        phone,
+        'Sorry, this appointment can no longer be rescheduled. You can start a new booking anytime.'
+      );
+      return;
+    }
+
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const now = new Date().toISOString();
+
+    const moveTo = staffId => bookingService.updateAppointment(businessProfile, appointmentId, appointment, {
+      appointmentDate: date,
+      appointmentTime: time,
+      staffId,
+      updatedAt: now,
+      rescheduleHistory: firebaseAdmin.firestore.FieldValue.arrayUnion({
+        fromDate: appointment.appointmentDate,
+        fromTime: appointment.appointmentTime,
+        toDate: date,
+        toTime: time,
+        fromStaffId: appointment.staffId || null,
+        requestedBy: formattedPhone,
+        channel: 'whatsapp',
+        at: now
+      })
+    });
+
+    // Keep the customer's stylist if they're free, otherwise whichever stylist is
+    let result = await moveTo(appointment.staffId || null);
+    if (!result.appointmentId && appointment.staffId) {
+      result = await moveTo(null);
+    }
+
+    if (!result.appointmentId) {
+      await this.sendSlotUnavailable(
+        phone,
+        parlourId,
+        businessProfile,
+        { id: session.serviceId, name: session.serviceName, duration: session.duration },
+        date,
+        time,
+        null,
+        appointmentId
+      );
+      return;
+    }
+
+    await sessionService.clearSession(parlourId, phone);
+
+    // Let the owner know from their dashboard
+    await db.collection('customerFlags').add({
+      parlourId,
+      customerPhone: formattedPhone,
+      type: 'reschedule',
+      appointmentId,
+      previousDate: appointment.appointmentDate,
+      previousTime: appointment.appointmentTime,
+      newDate: date,
+      newTime: time,
+      previousStaffId: appointment.staffId || null,
+      staffId: result.staffId || null,
+      resolved: false,
+      createdAt: now
+    });
+
+    let message = `Your ${appointment.serviceName} appointment has been moved.\n\n*New Booking Details*\nDate: ${date}\nTime: ${time}`;
+    if (result.staffName) {
+      message += `\nStylist: ${result.staffName}`;
+    }
+    message += `\n\n(Previously ${appointment.appointmentDate} at ${appointment.appointmentTime})`;
+
+    await whatsappService.sendTextMessage(
+      phone,
+      message,
+      { appointmentId, parlourId, kind: 'reschedule' }
+    );
+  }
+
+  /**
+   * Tell a customer their requested time can't be booked and offer the nearest free ones
+   * @param {string} phone - Customer phone number
+   * @param {string} parlourId - Parlour ID
+   * @param {object} businessProfile - Business profile data
+   * @param {object} service - Service with name and duration
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {string} time - Requested time
+   * @param {Array|null} slots - Free slots if already loaded
+   * @param {string|null} excludeAppointmentId - Appointment being moved, if any
+   */
+  async sendSlotUnavailable(phone, parlourId, businessProfile, service, date, time, slots = null, excludeAppointmentId = null) {
+    const freeSlots = slots || await availabilityService.getAvailableSlots(
+      parlourId,
+      businessProfile,
+      service,
+      date,
+      { excludeAppointmentId }
+    );
+    const nearest = availabilityService.getNearestSlots(freeSlots, time);
+
+    await whatsappService.sendTextMessage(
+      phone,
+      (nearest.length
+        ? `Sorry, ${service.name} is not available on ${date} at ${time}. The nearest free times that day are: ${nearest.map(slot => slot.time).join(', ')}.`
+        : `Sorry, there are no free slots for ${service.name} on ${date}. Please try another date.`) +
+      `\n\nTo be offered a slot if one frees up, reply "waitlist ${service.name} ${date}".`
+    );
+  }
+
+  /**
+   * Confirm the customer's next scheduled appointment
+   * @param {string} phone - Customer phone number
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async confirmUpcomingAppointment(phone, businessProfile, parlourId) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+    const snapshot = await db.collection('appointments')
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', formattedPhone)
+      .where('status', '==', 'scheduled')
+      .where('appointmentDate', '>=', availabilityService.toDateString(new Date()))
+      .orderBy('appointmentDate', 'asc')
+      .orderBy('appointmentTime', 'asc')
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      await whatsappService.sendTextMessage(
+        phone,
+        'You don\'t have any upcoming appointments waiting for confirmation. Type "status" to see your bookings.'
+      );
+      return;
+    }
+
+    await this.confirmBooking(phone, snapshot.docs[0].id, businessProfile, parlourId);
+  }
+
+  /**
+   * Put a customer on the waitlist from "waitlist <service> <date>"
+   * @param {string} phone - Customer phone number
+   * @param {string} request - Text after "waitlist"
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async handleWaitlistRequest(phone, request, businessProfile, parlourId) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const lowerRequest = request.toLowerCase();
+
+    // Service names can contain spaces, so match them against the menu
+    // (longest first) and read whatever follows as the date
+    const service = [...(businessProfile.services || [])]
+      .sort((a, b) => b.name.length - a.name.length)
+      .find(s => lowerRequest.startsWith(s.name.toLowerCase()));
+
+    if (!service) {
+      const availableServices = (businessProfile.services || []).map(s => s.name).join(', ');
+      await whatsappService.sendTextMessage(
+        phone,
+        `Please tell us the service and date, like "waitlist Haircut 2nd May". Available services: ${availableServices || 'None'}`
+      );
+      return;
+    }
+
+    const dateText = request.slice(service.name.length).replace(/^\s*(on|for)\s+/i, '').trim();
+    const date = dateText ? this.parseSessionDate(dateText) : null;
+
+    if (!date || date < availabilityService.toDateString(new Date())) {
+      await whatsappService.sendTextMessage(
+        phone,
+        `Please include a future date, like "waitlist ${service.name} 2nd May".`
+      );
+      return;
+    }
+
+    const entry = await waitlistService.join(parlourId, {
+      customerPhone: formattedPhone,
+      customerName: `WhatsApp Customer (${formattedPhone})`,
+      serviceId: service.id,
+      serviceName: service.name,
+      date,
+      source: 'whatsapp'
+    });
+
+    await whatsappService.sendTextMessage(
+      phone,
+      entry.created
+        ? `You're on the waitlist for ${service.name} on ${date}. If a slot opens up we'll message you so you can book it.`
+        : `You're already on the waitlist for ${service.name} on ${date}. We'll message you if a slot opens up.`
+    );
+  }
+
+  /**
+   * Book a slot offered to a waitlisted customer
+   * @param {string} phone - Customer phone number
+   * @param {string} entryId - Waitlist entry ID
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async claimWaitlistOffer(phone, entryId, businessProfile, parlourId) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const result = await waitlistService.claimOffer(parlourId, entryId, formattedPhone, businessProfile);
+
+    if (result.notFound) {
+      await whatsappService.sendTextMessage(
+        phone,
+        'Sorry, we couldn\'t find that offer. Type "status" to see your bookings.'
+      );
+      return;
+    }
+
+    if (result.alreadyBooked) {
+      await whatsappService.sendTextMessage(
+        phone,
+        'You\'ve already booked this slot. Type "status" to see your bookings.'
+      );
+      return;
+    }
+
+    if (result.expired) {
+      await whatsappService.sendTextMessage(
+        phone,
+        `Sorry, this offer has expired. You're still on the waitlist for ${result.entry.serviceName} on ${result.entry.date}.`
+      );
+      return;
+    }
+
+    if (result.taken) {
+      await whatsappService.sendTextMessage(
+        phone,
+        `Sorry, that slot has just been taken. You're still on the waitlist for ${result.entry.serviceName} on ${result.entry.date}.`
+      );
+      return;
+    }
+
+    await whatsappService.sendAppointmentConfirmation(
+      phone,
+      {
+        appointmentId: result.appointmentId,
+        referenceCode: result.referenceCode,
+        parlourId,
+        customerName: result.entry.customerName || `WhatsApp Customer (${formattedPhone})`,
+        serviceName: result.entry.serviceName,
+        date: result.entry.date,
+        time: result.entry.offer.time
+      }
+    );
+  }
+
+  /**
+   * Turn down a waitlist offer so it goes to the next customer
+   * @param {string} phone - Customer phone number
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} parlourId - Parlour ID
+   */
+  async declineWaitlistOffer(phone, entryId, parlourId) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const declined = await waitlistService.declineOffer(parlourId, entryId, formattedPhone);
+
+    await whatsappService.sendTextMessage(
+      phone,
+      declined
+        ? 'No problem, we\'ve passed this slot on. You\'re still on the waitlist and we\'ll message you if another slot opens up.'
+        : 'This offer is no longer open. Type "status" to see your bookings.'
+    );
+  }
+
+  /**
+   * Record a STOP or START from a customer and acknowledge it
+   * @param {string} phone - Customer phone number
+   * @param {string} keyword - Keyword the customer sent
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async handleConsentKeyword(phone, keyword, businessProfile, parlourId) {
+    const optOut = consentService.isOptOutKeyword(keyword);
+
+    await consentService.setConsent(parlourId, phone, optOut ? 'opted_out' : 'opted_in', {
+      source: 'whatsapp',
+      changedBy: 'customer',
+      keyword: keyword.trim().toLowerCase()
+    });
+
+    if (!optOut) {
+      await whatsappService.sendTextMessage(
+        phone,
+        `You're subscribed to messages from ${businessProfile.businessName} again. Reply STOP at any time to unsubscribe.`
+      );
+      return;
+    }
+
+    const blocked = businessProfile.optOutScope === 'non_transactional'
+      ? 'offers, reminders or other messages you didn\'t ask for'
+      : 'promotional messages';
+
+    await whatsappService.sendTextMessage(
+      phone,
+      `You've been unsubscribed. ${businessProfile.businessName} won't send you ${blocked}. ` +
+      'You\'ll still get replies when you message us. Reply START to subscribe again.'
+    );
+  }
+
+  /**
+   * Store a rating a customer gave and invite a comment
+   * @param {string} phone - Customer phone number
+   * @param {string} appointmentId - Appointment ID the rating is for
+   * @param {number} rating - Rating from 1 to 5
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async handleFeedbackRating(phone, appointmentId, rating, businessProfile, parlourId) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const result = await feedbackService.recordRating(parlourId, appointmentId, formattedPhone, rating);
+
+    if (result.notFound) {
+      await whatsappService.sendTextMessage(
+        phone,
+        'Sorry, we couldn\'t find the visit you\'re rating.'
+      );
+      return;
+    }
+
+    if (result.alreadyRated) {
+      await whatsappService.sendTextMessage(
+        phone,
+        `You've already rated this visit ${result.feedback.rating}/5. Thank you!`
+      );
+      return;
+    }
+
+    if (result.expired) {
+      await whatsappService.sendTextMessage(
+        phone,
+        'Sorry, this feedback request has expired. Thank you for visiting us!'
+      );
+      return;
+    }
+
+    await whatsappService.sendTextMessage(
+      phone,
+      `Thank you for rating your visit ${rating}/5! ` +
+      `If you'd like to tell ${businessProfile.businessName} more, just reply with a comment, or reply "skip".`
+    );
+  }
+
+  /**
+   * Treat a text message as a rating or comment when feedback is pending
+   * @param {string} phone - Customer phone number
+   * @param {string} text - Message text
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   * @returns {Promise<boolean>} - True if the message was feedback
+   */
+  async handleFeedbackReply(phone, text, businessProfile, parlourId) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+    const awaitingComment = await feedbackService.findAwaitingComment(parlourId, formattedPhone);
+    if (awaitingComment) {
+      const skipped = text.toLowerCase() === 'skip';
+      await feedbackService.recordComment(awaitingComment, skipped ? null : text);
+
+      await whatsappService.sendTextMessage(
+        phone,
+        skipped
+          ? 'No problem. Thanks again for your feedback!'
+          : `Thanks for your comments! We've passed them on to ${businessProfile.businessName}.`
+      );
+      return true;
+    }
+
+    // Template requests ask the customer to reply with a number
+    if (/^[1-5]$/.test(text)) {
+      const openRequest = await feedbackService.findOpenRequest(parlourId, formattedPhone);
+      if (openRequest) {
+        await this.handleFeedbackRating(phone, openRequest.id, Number(text), businessProfile, parlourId);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Hand a customer over to the parlour owner and pause the bot for them
+   * @param {string} phone - Customer phone number
+   * @param {string} reason - 'customer_request' or 'unrecognized'
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async startHandoff(phone, reason, businessProfile, parlourId) {
+    await handoffService.start(parlourId, phone, {
+      reason,
+      startedBy: reason === 'customer_request' ? 'customer' : 'bot'
+    });
+
+    const intro = reason === 'unrecognized'
+      ? 'Sorry, I\'m having trouble understanding.'
+      : 'Sure.';
+
+    await whatsappService.sendTextMessage(
+      phone,
+      `${intro} I've asked the team at ${businessProfile.businessName} to reply to you here. ` +
+      'They\'ll get back to you as soon as they can.'
+    );
+  }
+
+  /**
+   * Handle a message from a customer whose conversation the owner has
+   * Only STOP and START are still handled; everything else waits for the owner.
+   * @param {object} message - Message object from WhatsApp
+   * @param {object} businessProfile - Business profile data
+   * @param {string} parlourId - Parlour ID
+   */
+  async processHandoffMessage(message, businessProfile, parlourId) {
+    const text = message.type === 'text' && message.text ? message.text.body || '' : '';
+
+    if (consentService.isOptOutKeyword(text) || consentService.isOptInKeyword(text)) {
+      await this.handleConsentKeyword(message.from, text, businessProfile, parlourId);
+      return;
+    }
+
+    await handoffService.setNeedsAttention(parlourId, message.from, true);
+  }
+
+  /**
+   * Delete an unconfirmed appointment left behind by the guided booking flow
+   * @param {string} appointmentId - Pending appointment ID
+   * @param {string} parlourId - Parlour ID
+   */
+  async discardPendingBooking(appointmentId, parlourId) {
+    if (!appointmentId) {
+      return;
+    }
+
+    const appointmentRef = db.collection('appointments').doc(appointmentId);
+    const appointmentDoc = await appointmentRef.get();
+
+    if (appointmentDoc.exists &&
+        appointmentDoc.data().parlourId === parlourId &&
+        appointmentDoc.data().status === 'pending') {
+      await appointmentRef.delete();
+    }
+  }
+
+  /**
+   * Handle a Cancel button
+   * The same button ends a guided booking that is still pending and cancels
+   * a booked appointment from a reminder.
+   * @param {string} phone - Customer phone number
+   * @param {string} bookingRef - Appointment ID
+   * @param {string} parlourId - Parlour ID
+   */
+  async handleCancelButton(phone, bookingRef, parlourId) {
+    const appointmentDoc = await this.findCustomerAppointment(phone, bookingRef, parlourId);
+
+    if (appointmentDoc && ['scheduled', 'confirmed'].includes(appointmentDoc.data().status)) {
+      await this.cancelAppointment(phone, appointmentDoc.id, parlourId);
+      return;
+    }
+
+    // Nothing to discard unless the pending booking belongs to this customer
+    await this.cancelBookingRequest(phone, appointmentDoc ? appointmentDoc.id : null, parlourId);
+  }
+
+  /**
+   * Cancel booking request
+   * @param {string} phone - Customer phone number
+   * @param {string} bookingRef - Booking reference
+   * @param {string} parlourId - Parlour ID
+   */
+  async cancelBookingRequest(phone, bookingRef, parlourId) {
+    try {
+      await this.discardPendingBooking(bookingRef, parlourId);
+      await sessionService.clearSession(parlourId, phone);
+      
+      await whatsappService.sendTextMessage(
+        phone,
+        'Your booking request has been cancelled. You can start a new booking anytime.'
+      );
     } catch (error) {
       console.error('Error cancelling booking request:', error);
       await whatsappService.sendTextMessage(
@@ -1068,4 +2641,6 @@ Type "help" for more options.`
       );
     }
   }
-}
\ No newline at end of file
+}
+
+module.exports = new WebhookController();
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const express = require("express");
+
+/**
+ * JSON body parser that keeps the raw request body for signature checks
+ */
+const parseWebhookBody = express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
+
+/**
+ * Middleware to verify the X-Hub-Signature-256 header sent by Meta
+ * The header is an HMAC-SHA256 of the raw body keyed with the app secret
+ */
+const verifyWhatsAppSignature = (req, res, next) => {
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+
+  if (!appSecret) {
+    console.error("WHATSAPP_APP_SECRET is not configured, rejecting webhook");
+    return res.status(401).json({
+      status: "error",
+      message: "Unauthorized: Webhook signature cannot be verified",
+    });
+  }
+
+  const signatureHeader = req.headers["x-hub-signature-256"];
+
+  if (!signatureHeader || !signatureHeader.startsWith("sha256=") || !req.rawBody) {
+    return res.status(401).json({
+      status: "error",
+      message: "Unauthorized: Missing webhook signature",
+    });
+  }
+
+  const expectedSignature = crypto
+    .createHmac("sha256", appSecret)
+    .update(req.rawBody)
+    .digest();
+  const receivedSignature = Buffer.from(signatureHeader.slice("sha256=".length), "hex");
+
+  // timingSafeEqual throws on length mismatch, so check that first
+  if (receivedSignature.length !== expectedSignature.length ||
+      !crypto.timingSafeEqual(receivedSignature, expectedSignature)) {
+    console.error("WhatsApp webhook signature mismatch");
+    return res.status(401).json({
+      status: "error",
+      message: "Unauthorized: Invalid webhook signature",
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  parseWebhookBody,
+  verifyWhatsAppSignature,
+};
@@ -15,4 +15,18 @@ router.patch('/users/:id', adminController.updateUser);
 router.delete('/users/:id', adminController.deleteUser);
 router.get('/analytics', adminController.getAnalytics);
 
+// WhatsApp number routing
+router.get('/whatsapp-numbers', adminController.getWhatsAppNumbers);
+router.post('/whatsapp-numbers', adminController.bindWhatsAppNumber);
+router.delete('/whatsapp-numbers/:phoneNumberId', adminController.unbindWhatsAppNumber);
+
+// WhatsApp template registry
+router.get('/templates', adminController.getTemplates);
+router.put('/templates/:key', adminController.saveTemplate);
+router.delete('/templates/:key', adminController.deleteTemplate);
+
+// Outbound WhatsApp queue
+router.get('/outbound-queue', adminController.getOutboundJobs);
+router.post('/outbound-queue/:id/retry', adminController.retryOutboundJob);
+
 module.exports = router;
\ No newline at end of file
@@ -9,7 +9,9 @@ router.use(authMiddleware);
 
 // Appointment routes
 router.get('/', appointmentController.getAppointments);
+router.get('/availability', appointmentController.getAvailability);
 router.get('/:id', appointmentController.getAppointment);
+router.get('/:id/messages', appointmentController.getAppointmentMessages);
 router.post('/', appointmentController.createAppointment);
 router.patch('/:id', appointmentController.updateAppointment);
 router.delete('/:id', appointmentController.deleteAppointment);
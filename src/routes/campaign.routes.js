@@ -0,0 +1,17 @@
+const express = require('express');
+const campaignController = require('../controllers/campaign.controller');
+const { authMiddleware } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// All routes need authentication
+router.use(authMiddleware);
+
+// Campaign routes
+router.get('/', campaignController.getCampaigns);
+router.get('/audience', campaignController.previewAudience);
+router.post('/', campaignController.createCampaign);
+router.get('/:id', campaignController.getCampaign);
+router.post('/:id/cancel', campaignController.cancelCampaign);
+
+module.exports = router;
\ No newline at end of file
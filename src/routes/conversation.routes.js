@@ -0,0 +1,15 @@
+const express = require('express');
+const conversationController = require('../controllers/conversation.controller');
+const { authMiddleware } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// All routes need authentication
+router.use(authMiddleware);
+
+// Owner inbox and handoff routes
+router.get('/', conversationController.getConversations);
+router.post('/:phone/reply', conversationController.replyToConversation);
+router.post('/:phone/handback', conversationController.handBackConversation);
+
+module.exports = router;
\ No newline at end of file
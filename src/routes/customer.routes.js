@@ -11,5 +11,11 @@ router.use(authMiddleware);
 router.get('/', customerController.getCustomers);
 router.get('/:id/history', customerController.getCustomerHistory);
 router.get('/phone/:phone/history', customerController.getCustomerHistoryByPhone);
+router.get('/phone/:phone/messages', customerController.getCustomerMessages);
+router.get('/flags', customerController.getCustomerFlags);
+router.patch('/flags/:id', customerController.resolveCustomerFlag);
+router.get('/consent', customerController.getConsentList);
+router.get('/phone/:phone/consent', customerController.getConsent);
+router.put('/phone/:phone/consent', customerController.updateConsent);
 
 module.exports = router;
\ No newline at end of file
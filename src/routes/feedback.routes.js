@@ -0,0 +1,15 @@
+const express = require('express');
+const feedbackController = require('../controllers/feedback.controller');
+const { authMiddleware } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// All routes need authentication
+router.use(authMiddleware);
+
+// Feedback routes
+router.get('/summary', feedbackController.getRatingSummary);
+router.get('/low', feedbackController.getLowRatings);
+router.patch('/:id/follow-up', feedbackController.markFollowedUp);
+
+module.exports = router;
\ No newline at end of file
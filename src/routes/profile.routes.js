@@ -16,7 +16,18 @@ router.post('/services', profileController.saveService);
 router.put('/services/:serviceId', profileController.saveService);
 router.delete('/services/:serviceId', profileController.deleteService);
 
+// Staff management
+router.get('/staff', profileController.getStaff);
+router.post('/staff', profileController.saveStaff);
+router.put('/staff/:staffId', profileController.saveStaff);
+router.delete('/staff/:staffId', profileController.deleteStaff);
+
 // Working hours
 router.put('/working-hours', profileController.updateWorkingHours);
 
+// WhatsApp Business credentials
+router.get('/whatsapp-credentials', profileController.getWhatsAppCredentials);
+router.put('/whatsapp-credentials', profileController.saveWhatsAppCredentials);
+router.delete('/whatsapp-credentials', profileController.deleteWhatsAppCredentials);
+
 module.exports = router;
\ No newline at end of file
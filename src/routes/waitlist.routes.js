@@ -0,0 +1,15 @@
+const express = require('express');
+const waitlistController = require('../controllers/waitlist.controller');
+const { authMiddleware } = require('../middlewares/auth.middleware');
+
+const router = express.Router();
+
+// All routes need authentication
+router.use(authMiddleware);
+
+// Waitlist routes
+router.get('/', waitlistController.getWaitlist);
+router.post('/', waitlistController.addToWaitlist);
+router.delete('/:id', waitlistController.removeFromWaitlist);
+
+module.exports = router;
\ No newline at end of file
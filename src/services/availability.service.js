@@ -0,0 +1,485 @@
+const { db } = require('../utils/firebase');
+require('dotenv').config();
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Used when a parlour hasn't configured working hours at all
+const DEFAULT_HOURS = { open: '9:00 AM', close: '6:00 PM' };
+
+/**
+ * Service to compute free appointment slots
+ * Slots come from the parlour's (or each stylist's) working hours minus existing bookings
+ */
+class AvailabilityService {
+  constructor() {
+    this.defaultGranularity = parseInt(process.env.SLOT_GRANULARITY_MINUTES, 10) || 30;
+    // Unconfirmed WhatsApp bookings hold their slot only as long as the booking session lives
+    this.pendingHoldMs = (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000;
+  }
+
+  /**
+   * Check whether an appointment occupies its slot
+   * @param {object} appointment - Appointment data
+   * @param {Date} now - Current time
+   * @returns {boolean} - True if the slot is taken
+   */
+  isBlocking(appointment, now = new Date()) {
+    if (appointment.status === 'cancelled') {
+      return false;
+    }
+
+    if (appointment.status === 'pending') {
+      const heldSince = new Date(appointment.updatedAt || appointment.createdAt);
+      return now.getTime() - heldSince.getTime() < this.pendingHoldMs;
+    }
+
+    return true;
+  }
+
+  /**
+   * Normalize a date to YYYY-MM-DD, the format availability is keyed by
+   * @param {string} date - Date string
+   * @returns {string|null} - Normalized date or null if it can't be parsed
+   */
+  normalizeDate(date) {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return date;
+    }
+
+    const parsed = new Date(date);
+    return isNaN(parsed.getTime()) ? null : this.toDateString(parsed);
+  }
+
+  /**
+   * Convert a time string like "3:30 PM", "3PM" or "15:30" to minutes after midnight
+   * @param {string} timeStr - Time string
+   * @returns {number|null} - Minutes after midnight or null if parsing failed
+   */
+  parseTimeToMinutes(timeStr) {
+    if (!timeStr || typeof timeStr !== 'string') {
+      return null;
+    }
+
+    const match = timeStr.trim().toLowerCase()
+      .match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(?:([ap])\.?\s*m\.?)?$/);
+
+    if (!match) {
+      return null;
+    }
+
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2] || '0', 10);
+    const meridiem = match[3];
+
+    if (minutes > 59 || hours > 23) {
+      return null;
+    }
+
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      if (hours === 12) hours = 0;
+      if (meridiem === 'p') hours += 12;
+    }
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Format minutes after midnight as "3:30 PM"
+   * @param {number} totalMinutes - Minutes after midnight
+   * @returns {string} - Formatted time
+   */
+  formatMinutes(totalMinutes) {
+    const hours24 = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const meridiem = hours24 >= 12 ? 'PM' : 'AM';
+    const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+
+    return `${hours12}:${minutes.toString().padStart(2, '0')} ${meridiem}`;
+  }
+
+  /**
+   * Format a Date as a local YYYY-MM-DD string
+   * @param {Date} date - Date object
+   * @returns {string} - Date string
+   */
+  toDateString(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Get opening and closing minutes for a date
+   * @param {object} workingHours - Working hours keyed by lowercase day name
+   * @param {string} date - Date as YYYY-MM-DD
+   * @returns {object|null} - { open, close } in minutes, or null if closed
+   */
+  getWorkingWindow(workingHours, date) {
+    const hasHours = workingHours && Object.keys(workingHours).length > 0;
+    const dayName = DAY_NAMES[new Date(`${date}T00:00:00`).getDay()];
+
+    let dayHours;
+    if (!hasHours) {
+      dayHours = DEFAULT_HOURS;
+    } else {
+      dayHours = workingHours[dayName];
+    }
+
+    // Once hours are configured, a day without an entry counts as closed
+    if (!dayHours || dayHours.closed) {
+      return null;
+    }
+
+    const open = this.parseTimeToMinutes(dayHours.open || DEFAULT_HOURS.open);
+    const close = this.parseTimeToMinutes(dayHours.close || DEFAULT_HOURS.close);
+
+    if (open === null || close === null || close <= open) {
+      return null;
+    }
+
+    return { open, close };
+  }
+
+  /**
+   * Compute free slots for a service on a date
+   * @param {object} options - Slot options
+   * @param {object} options.workingHours - Working hours keyed by lowercase day name
+   * @param {string} options.date - Date as YYYY-MM-DD
+   * @param {number} options.duration - Service duration in minutes
+   * @param {Array} options.appointments - Existing non-cancelled appointments on that date
+   * @param {number} options.granularity - Minutes between slot start times
+   * @param {Date} options.now - Current time, used to hide past slots today
+   * @returns {Array} - Free slots as { time, startMinutes, endMinutes }
+   */
+  computeSlots({ workingHours, date, duration, appointments = [], granularity, now = new Date() }) {
+    const window = this.getWorkingWindow(workingHours, date);
+
+    if (!window) {
+      return [];
+    }
+
+    const step = granularity || this.defaultGranularity;
+    const length = parseInt(duration, 10) || 60;
+
+    const busy = appointments
+      .map(appointment => {
+        const start = this.parseTimeToMinutes(appointment.appointmentTime);
+        return start === null
+          ? null
+          : { start, end: start + (parseInt(appointment.duration, 10) || 60) };
+      })
+      .filter(Boolean);
+
+    // Slots that already started today can't be booked
+    const today = this.toDateString(now);
+    if (date < today) {
+      return [];
+    }
+    const earliest = date === today ? now.getHours() * 60 + now.getMinutes() : 0;
+
+    const slots = [];
+    for (let start = window.open; start + length <= window.close; start += step) {
+      if (start < earliest) continue;
+
+      const end = start + length;
+      const overlaps = busy.some(slot => start < slot.end && end > slot.start);
+
+      if (!overlaps) {
+        slots.push({
+          time: this.formatMinutes(start),
+          startMinutes: start,
+          endMinutes: end
+        });
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Check a requested time against working hours and existing bookings
+   * @param {object} options - Slot options
+   * @param {object} options.workingHours - Working hours keyed by lowercase day name
+   * @param {string} options.date - Date as YYYY-MM-DD
+   * @param {string} options.time - Requested start time
+   * @param {number} options.duration - Duration in minutes
+   * @param {Array} options.appointments - Other appointments on that date, with ids
+   * @returns {object} - { invalidTime, outsideHours, conflicts }
+   */
+  checkSlot({ workingHours, date, time, duration, appointments = [] }) {
+    const start = this.parseTimeToMinutes(time);
+
+    if (start === null) {
+      return { invalidTime: true, outsideHours: false, conflicts: [] };
+    }
+
+    const end = start + (parseInt(duration, 10) || 60);
+    const window = this.getWorkingWindow(workingHours, date);
+
+    if (!window || start < window.open || end > window.close) {
+      return { invalidTime: false, outsideHours: true, conflicts: [] };
+    }
+
+    const now = new Date();
+    const conflicts = appointments.filter(appointment => {
+      if (!this.isBlocking(appointment, now)) return false;
+
+      const otherStart = this.parseTimeToMinutes(appointment.appointmentTime);
+      if (otherStart === null) return false;
+
+      const otherEnd = otherStart + (parseInt(appointment.duration, 10) || 60);
+      return start < otherEnd && end > otherStart;
+    });
+
+    return { invalidTime: false, outsideHours: false, conflicts };
+  }
+
+  /**
+   * Get the calendars a service can be booked on
+   * Parlours without staff have a single calendar using the parlour's hours;
+   * otherwise each active stylist who performs the service has their own.
+   * @param {object} businessProfile - Business profile data
+   * @param {string} serviceId - Service ID
+   * @param {string|null} staffId - Restrict to one stylist
+   * @returns {Array} - Schedules as { staffId, staffName, workingHours }
+   */
+  getSchedules(businessProfile, serviceId, staffId = null) {
+    const staff = (businessProfile.staff || []).filter(member => member.active !== false);
+
+    if (staff.length === 0) {
+      return staffId ? [] : [{
+        staffId: null,
+        staffName: null,
+        workingHours: businessProfile.workingHours
+      }];
+    }
+
+    return staff
+      .filter(member => !staffId || member.id === staffId)
+      // A stylist with no services listed performs all of them
+      .filter(member => !serviceId || !member.serviceIds || member.serviceIds.length === 0 ||
+        member.serviceIds.includes(serviceId))
+      .map(member => ({
+        staffId: member.id,
+        staffName: member.name,
+        workingHours: member.workingHours && Object.keys(member.workingHours).length > 0
+          ? member.workingHours
+          : businessProfile.workingHours
+      }));
+  }
+
+  /**
+   * Pick the appointments that occupy a calendar
+   * Appointments without a stylist block every calendar, so bookings made
+   * before staff were set up are never double booked.
+   * @param {Array} appointments - Appointments on a date
+   * @param {string|null} staffId - Calendar's stylist, null for the parlour calendar
+   * @returns {Array} - Appointments on that calendar
+   */
+  filterByStaff(appointments, staffId) {
+    if (!staffId) {
+      return appointments;
+    }
+
+    return appointments.filter(appointment => !appointment.staffId || appointment.staffId === staffId);
+  }
+
+  /**
+   * Load a parlour's non-cancelled appointments on a date
+   * @param {string} parlourId - Parlour ID
+   * @param {string} date - Date as YYYY-MM-DD
+   * @returns {Promise<Array>} - Appointments with their ids
+   */
+  async getBookedAppointments(parlourId, date) {
+    const snapshot = await db.collection('appointments')
+      .where('parlourId', '==', parlourId)
+      .where('appointmentDate', '==', date)
+      .get();
+
+    const now = new Date();
+    const appointments = [];
+    snapshot.forEach(doc => {
+      const appointment = doc.data();
+      if (this.isBlocking(appointment, now)) {
+        appointments.push({
+          id: doc.id,
+          ...appointment
+        });
+      }
+    });
+
+    return appointments;
+  }
+
+  /**
+   * Get free slots for a service on a date
+   * A slot is free if at least one stylist who performs the service is free.
+   * @param {string} parlourId - Parlour ID
+   * @param {object} businessProfile - Business profile data
+   * @param {object} service - Service with an id and duration
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {object} options - { excludeAppointmentId } to ignore an appointment being moved,
+   *   { staffId } to only look at one stylist
+   * @returns {Promise<Array>} - Free slots, each with the staffIds free at that time
+   */
+  async getAvailableSlots(parlourId, businessProfile, service, date, options = {}) {
+    const schedules = this.getSchedules(businessProfile, service.id, options.staffId);
+
+    if (schedules.length === 0) {
+      return [];
+    }
+
+    const appointments = (await this.getBookedAppointments(parlourId, date))
+      .filter(appointment => appointment.id !== options.excludeAppointmentId);
+
+    const slotsByStart = new Map();
+    schedules.forEach(schedule => {
+      const slots = this.computeSlots({
+        workingHours: schedule.workingHours,
+        date,
+        duration: service.duration,
+        appointments: this.filterByStaff(appointments, schedule.staffId),
+        granularity: businessProfile.slotGranularity
+      });
+
+      slots.forEach(slot => {
+        if (!slotsByStart.has(slot.startMinutes)) {
+          slotsByStart.set(slot.startMinutes, { ...slot, staffIds: [] });
+        }
+        if (schedule.staffId) {
+          slotsByStart.get(slot.startMinutes).staffIds.push(schedule.staffId);
+        }
+      });
+    });
+
+    return [...slotsByStart.values()].sort((a, b) => a.startMinutes - b.startMinutes);
+  }
+
+  /**
+   * Get free slots for a service over several consecutive days
+   * @param {string} parlourId - Parlour ID
+   * @param {object} businessProfile - Business profile data
+   * @param {object} service - Service with a duration
+   * @param {string} startDate - First date as YYYY-MM-DD
+   * @param {number} days - Number of days to include
+   * @param {object} options - Options passed to getAvailableSlots
+   * @returns {Promise<Array>} - Array of { date, slots }
+   */
+  async getAvailabilityForDays(parlourId, businessProfile, service, startDate, days, options = {}) {
+    const results = [];
+    const current = new Date(`${startDate}T00:00:00`);
+
+    for (let i = 0; i < days; i++) {
+      const date = this.toDateString(current);
+      results.push({
+        date,
+        slots: await this.getAvailableSlots(parlourId, businessProfile, service, date, options)
+      });
+      current.setDate(current.getDate() + 1);
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the next days that still have free slots for a service
+   * Closed and fully booked days are skipped.
+   * @param {string} parlourId - Parlour ID
+   * @param {object} businessProfile - Business profile data
+   * @param {object} service - Service with an id and duration
+   * @param {string} startDate - First date to look at, as YYYY-MM-DD
+   * @param {object} options - { limit, horizonDays } plus options passed to getAvailableSlots
+   * @returns {Promise<Array>} - Array of { date, slots }
+   */
+  async getOpenDays(parlourId, businessProfile, service, startDate, options = {}) {
+    const { limit = 10, horizonDays = 30, ...slotOptions } = options;
+    const results = [];
+    const current = new Date(`${startDate}T00:00:00`);
+
+    for (let i = 0; i < horizonDays && results.length < limit; i++) {
+      const date = this.toDateString(current);
+      current.setDate(current.getDate() + 1);
+
+      // Skip closed days without querying bookings
+      const schedules = this.getSchedules(businessProfile, service.id, slotOptions.staffId);
+      if (!schedules.some(schedule => this.getWorkingWindow(schedule.workingHours, date))) {
+        continue;
+      }
+
+      const slots = await this.getAvailableSlots(parlourId, businessProfile, service, date, slotOptions);
+      if (slots.length > 0) {
+        results.push({ date, slots });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Check whether a specific time is free for a service
+   * Uses the same rules as booking (checkSlot), so any free start time is
+   * accepted, not only the ones on the parlour's slot grid.
+   * @param {string} parlourId - Parlour ID
+   * @param {object} businessProfile - Business profile data
+   * @param {object} service - Service with an id and duration
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {string} time - Requested time
+   * @param {object} options - Same options as getAvailableSlots
+   * @returns {Promise<boolean>} - True if at least one stylist can take the booking
+   */
+  async isTimeFree(parlourId, businessProfile, service, date, time, options = {}) {
+    const start = this.parseTimeToMinutes(time);
+    const now = new Date();
+    const today = this.toDateString(now);
+
+    // Times that already started today can't be booked
+    if (start === null || date < today ||
+        (date === today && start < now.getHours() * 60 + now.getMinutes())) {
+      return false;
+    }
+
+    const schedules = this.getSchedules(businessProfile, service.id, options.staffId);
+
+    if (schedules.length === 0) {
+      return false;
+    }
+
+    const appointments = (await this.getBookedAppointments(parlourId, date))
+      .filter(appointment => appointment.id !== options.excludeAppointmentId);
+
+    return schedules.some(schedule => {
+      const check = this.checkSlot({
+        workingHours: schedule.workingHours,
+        date,
+        time,
+        duration: service.duration,
+        appointments: this.filterByStaff(appointments, schedule.staffId)
+      });
+
+      return !check.invalidTime && !check.outsideHours && check.conflicts.length === 0;
+    });
+  }
+
+  /**
+   * Pick the free slots closest to a requested time
+   * @param {Array} slots - Free slots from getAvailableSlots
+   * @param {string} time - Requested time
+   * @param {number} count - Number of slots to return
+   * @returns {Array} - Nearest free slots in time order
+   */
+  getNearestSlots(slots, time, count = 3) {
+    const requested = this.parseTimeToMinutes(time);
+
+    if (requested === null) {
+      return slots.slice(0, count);
+    }
+
+    return [...slots]
+      .sort((a, b) => Math.abs(a.startMinutes - requested) - Math.abs(b.startMinutes - requested))
+      .slice(0, count)
+      .sort((a, b) => a.startMinutes - b.startMinutes);
+  }
+}
+
+module.exports = new AvailabilityService();
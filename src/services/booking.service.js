@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { db, firebaseAdmin } = require('../utils/firebase');
+const availabilityService = require('./availability.service');
+
+// No 0/O or 1/I/L, so codes survive being read out or typed on a phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const REFERENCE_LENGTH = 6;
+const REFERENCE_ATTEMPTS = 5;
+
+/**
+ * Generate a random appointment reference code
+ * @returns {string} - Reference code like "K7M2QX"
+ */
+function generateReferenceCode() {
+  let code = '';
+  for (let i = 0; i < REFERENCE_LENGTH; i++) {
+    code += REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Service to write appointments without double booking
+ * Every write re-checks the slot inside a transaction that also touches a
+ * per-parlour, per-day lock document, so concurrent bookings for the same day
+ * are serialized and the second one sees the first.
+ */
+class BookingService {
+  constructor() {
+    this.appointments = db.collection('appointments');
+    this.locks = db.collection('appointmentLocks');
+    this.references = db.collection('appointmentReferences');
+  }
+
+  /**
+   * Create an appointment if its slot is free
+   * @param {object} businessProfile - Business profile data (working hours)
+   * @param {object} appointmentData - Full appointment data including parlourId
+   * @returns {Promise<object>} - { appointmentId, referenceCode, staffId, staffName } on success, otherwise
+   *   { invalidTime }, { invalidStaff }, { outsideHours } or { conflicts }
+   */
+  async createAppointment(businessProfile, appointmentData) {
+    return this.reserve(businessProfile, null, appointmentData, appointmentData);
+  }
+
+  /**
+   * Update an appointment, re-checking its slot if the time moved
+   * @param {object} businessProfile - Business profile data (working hours)
+   * @param {string} appointmentId - Appointment ID
+   * @param {object} currentData - Appointment as currently stored
+   * @param {object} updateData - Fields to update
+   * @returns {Promise<object>} - Same shape as createAppointment
+   */
+  async updateAppointment(businessProfile, appointmentId, currentData, updateData) {
+    const merged = { ...currentData, ...updateData };
+
+    const slotChanged = ['appointmentDate', 'appointmentTime', 'duration', 'staffId', 'serviceId']
+      .some(field => updateData[field] !== undefined && updateData[field] !== currentData[field]);
+    // Cancelled appointments and expired pending holds gave their slot up
+    const reclaimed = !availabilityService.isBlocking(currentData);
+
+    // Edits that don't touch the slot, and cancellations, can't create a clash
+    if ((!slotChanged && !reclaimed) || merged.status === 'cancelled') {
+      await this.appointments.doc(appointmentId).update(updateData);
+      return {
+        appointmentId,
+        referenceCode: merged.referenceCode || null,
+        staffId: merged.staffId || null,
+        staffName: merged.staffName || null
+      };
+    }
+
+    return this.reserve(businessProfile, appointmentId, merged, updateData);
+  }
+
+  /**
+   * Check a slot and write the appointment in one transaction
+   * Without a staffId the first free stylist who performs the service is assigned.
+   * @param {object} businessProfile - Business profile data
+   * @param {string|null} appointmentId - Existing appointment ID, null to create
+   * @param {object} appointment - Appointment as it will look after the write
+   * @param {object} writeData - Data to set (create) or update (existing)
+   * @returns {Promise<object>} - Result as described on createAppointment
+   */
+  async reserve(businessProfile, appointmentId, appointment, writeData) {
+    const { parlourId, appointmentDate } = appointment;
+    const lockRef = this.locks.doc(`${parlourId}_${appointmentDate}`);
+    const appointmentRef = appointmentId
+      ? this.appointments.doc(appointmentId)
+      : this.appointments.doc();
+
+    return db.runTransaction(async (transaction) => {
+      await transaction.get(lockRef);
+
+      const snapshot = await transaction.get(
+        this.appointments
+          .where('parlourId', '==', parlourId)
+          .where('appointmentDate', '==', appointmentDate)
+      );
+
+      const others = [];
+      snapshot.forEach(doc => {
+        if (doc.id !== appointmentRef.id) {
+          others.push({ id: doc.id, ...doc.data() });
+        }
+      });
+
+      const schedules = availabilityService.getSchedules(
+        businessProfile,
+        appointment.serviceId,
+        appointment.staffId || null
+      );
+
+      if (schedules.length === 0) {
+        return { invalidStaff: true };
+      }
+
+      let assigned = null;
+      let outsideHours = true;
+      const conflicts = new Map();
+
+      for (const schedule of schedules) {
+        const check = availabilityService.checkSlot({
+          workingHours: schedule.workingHours,
+          date: appointmentDate,
+          time: appointment.appointmentTime,
+          duration: appointment.duration,
+          appointments: availabilityService.filterByStaff(others, schedule.staffId)
+        });
+
+        if (check.invalidTime) {
+          return { invalidTime: true };
+        }
+
+        if (check.outsideHours) continue;
+        outsideHours = false;
+
+        if (check.conflicts.length > 0) {
+          check.conflicts.forEach(other => conflicts.set(other.id, other));
+          continue;
+        }
+
+        assigned = schedule;
+        break;
+      }
+
+      if (!assigned) {
+        return outsideHours
+          ? { outsideHours: true }
+          : { conflicts: [...conflicts.values()].map(other => this.summarize(other)) };
+      }
+
+      const data = {
+        ...writeData,
+        staffId: assigned.staffId,
+        staffName: assigned.staffName
+      };
+
+      if (appointmentId) {
+        transaction.update(appointmentRef, data);
+      } else {
+        const { referenceRef, referenceCode } = await this.claimReferenceCode(transaction, parlourId);
+        data.referenceCode = referenceCode;
+
+        transaction.set(referenceRef, {
+          parlourId,
+          appointmentId: appointmentRef.id,
+          createdAt: new Date().toISOString()
+        });
+        transaction.set(appointmentRef, data);
+      }
+
+      transaction.set(lockRef, {
+        parlourId,
+        date: appointmentDate,
+        updatedAt: new Date().toISOString()
+      });
+
+      return {
+        appointmentId: appointmentRef.id,
+        referenceCode: data.referenceCode || appointment.referenceCode || null,
+        staffId: assigned.staffId,
+        staffName: assigned.staffName
+      };
+    });
+  }
+
+  /**
+   * Find an unused reference code for a parlour inside a transaction
+   * Codes are unique per parlour, which is all lookups need since they are
+   * always scoped to the parlour.
+   * @param {object} transaction - Firestore transaction
+   * @param {string} parlourId - Parlour ID
+   * @returns {Promise<object>} - { referenceRef, referenceCode } for the caller to write
+   */
+  async claimReferenceCode(transaction, parlourId) {
+    for (let attempt = 0; attempt < REFERENCE_ATTEMPTS; attempt++) {
+      const referenceCode = generateReferenceCode();
+      const referenceRef = this.references.doc(`${parlourId}_${referenceCode}`);
+      const referenceDoc = await transaction.get(referenceRef);
+
+      if (!referenceDoc.exists) {
+        return { referenceRef, referenceCode };
+      }
+    }
+
+    throw new Error('Could not generate a unique appointment reference code');
+  }
+
+  /**
+   * Build the update fields for a status change, recording who made it and when
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - New status
+   * @param {object} changedBy - { role: 'customer' | 'owner' | 'system', id, channel }
+   * @returns {object} - Fields to merge into an appointment update
+   */
+  statusChange(fromStatus, toStatus, changedBy) {
+    const now = new Date().toISOString();
+
+    return {
+      status: toStatus,
+      updatedAt: now,
+      statusHistory: firebaseAdmin.firestore.FieldValue.arrayUnion({
+        from: fromStatus || null,
+        to: toStatus,
+        changedBy: changedBy.role,
+        changedById: changedBy.id || null,
+        channel: changedBy.channel || null,
+        at: now
+      })
+    };
+  }
+
+  /**
+   * Reduce a conflicting appointment to what an owner needs to see
+   * @param {object} appointment - Appointment with id
+   * @returns {object} - Conflict summary
+   */
+  summarize(appointment) {
+    return {
+      id: appointment.id,
+      referenceCode: appointment.referenceCode || null,
+      customerName: appointment.customerName || null,
+      serviceName: appointment.serviceName || null,
+      appointmentDate: appointment.appointmentDate,
+      appointmentTime: appointment.appointmentTime,
+      duration: appointment.duration || 60,
+      staffId: appointment.staffId || null,
+      staffName: appointment.staffName || null,
+      status: appointment.status
+    };
+  }
+}
+
+module.exports = new BookingService();
@@ -0,0 +1,281 @@
+const { db } = require('../utils/firebase');
+const availabilityService = require('./availability.service');
+const consentService = require('./consent.service');
+const outboundQueue = require('./outboundQueue.service');
+require('dotenv').config();
+
+// gRPC status code Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+// How often scheduled campaigns are checked
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// A campaign left in 'sending' this long is assumed lost with its worker and picked up again
+const SEND_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Service to send template broadcasts to a parlour's past customers
+ * Due campaigns are claimed, their audience is worked out from past
+ * appointments and every recipient who hasn't opted out gets a job on the
+ * outbound queue, which handles rate limits and retries. Each recipient is
+ * recorded in `campaignRecipients` so a campaign never messages anyone twice.
+ */
+class CampaignService {
+  constructor() {
+    this.collection = db.collection('campaigns');
+    this.recipients = db.collection('campaignRecipients');
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sending due campaigns on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), CHECK_INTERVAL_MS);
+    this.tick();
+  }
+
+  /**
+   * Stop the interval started by start()
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one pass unless the previous one is still going
+   */
+  tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.sendDueCampaigns()
+      .catch(error => {
+        console.error('Error sending campaigns:', error);
+      })
+      .finally(() => {
+        this.running = false;
+      });
+  }
+
+  /**
+   * Find the customers a campaign audience covers
+   * Customers count as visitors on the day of any appointment that wasn't
+   * cancelled; the most recent name they booked under is used.
+   * @param {string} parlourId - Parlour ID
+   * @param {object} audience - { lastVisitWithinDays, serviceIds }
+   * @param {Date} now - Current time
+   * @returns {Promise<Array<object>>} - { customerPhone, customerName, lastVisit }
+   */
+  async getAudience(parlourId, audience = {}, now = new Date()) {
+    const today = availabilityService.toDateString(now);
+    const since = audience.lastVisitWithinDays
+      ? availabilityService.toDateString(new Date(now.getTime() - audience.lastVisitWithinDays * 24 * 60 * 60 * 1000))
+      : null;
+    const serviceIds = audience.serviceIds || [];
+
+    const snapshot = await db.collection('appointments')
+      .where('parlourId', '==', parlourId)
+      .get();
+
+    const customers = new Map();
+
+    snapshot.forEach(doc => {
+      const appointment = doc.data();
+      const date = availabilityService.normalizeDate(appointment.appointmentDate);
+
+      if (!appointment.customerPhone || !date || date > today || appointment.status === 'cancelled') return;
+      if (since && date < since) return;
+      if (serviceIds.length > 0 && !serviceIds.includes(appointment.serviceId)) return;
+
+      const existing = customers.get(appointment.customerPhone);
+      if (!existing || date > existing.lastVisit) {
+        customers.set(appointment.customerPhone, {
+          customerPhone: appointment.customerPhone,
+          customerName: appointment.customerName || null,
+          lastVisit: date
+        });
+      }
+    });
+
+    return [...customers.values()];
+  }
+
+  /**
+   * Send every campaign whose scheduled time has passed
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of campaigns sent
+   */
+  async sendDueCampaigns(now = new Date()) {
+    const snapshot = await this.collection
+      .where('status', 'in', ['scheduled', 'sending'])
+      .where('scheduledAt', '<=', now.toISOString())
+      .get();
+
+    let sent = 0;
+
+    for (const doc of snapshot.docs) {
+      try {
+        const campaign = await this.claim(doc.ref, now);
+        if (!campaign) continue;
+
+        await this.send(doc.id, campaign, now);
+        sent++;
+      } catch (error) {
+        console.error(`Error sending campaign ${doc.id}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Mark a campaign as sending so no other worker picks it up
+   * @param {object} campaignRef - Firestore document reference
+   * @param {Date} now - Current time
+   * @returns {Promise<object|null>} - Campaign data, or null if it isn't ready to send
+   */
+  async claim(campaignRef, now) {
+    return db.runTransaction(async (transaction) => {
+      const campaignDoc = await transaction.get(campaignRef);
+
+      if (!campaignDoc.exists) {
+        return null;
+      }
+
+      const campaign = campaignDoc.data();
+      const stale = campaign.status === 'sending' &&
+        now.getTime() - new Date(campaign.sendingStartedAt).getTime() >= SEND_LOCK_MS;
+
+      if (campaign.status !== 'scheduled' && !stale) {
+        return null;
+      }
+
+      transaction.update(campaignRef, {
+        status: 'sending',
+        sendingStartedAt: now.toISOString(),
+        updatedAt: now.toISOString()
+      });
+
+      return campaign;
+    });
+  }
+
+  /**
+   * Queue the campaign template for everyone in its audience
+   * @param {string} campaignId - Campaign ID
+   * @param {object} campaign - Campaign data
+   * @param {Date} now - Current time
+   * @returns {Promise<void>}
+   */
+  async send(campaignId, campaign, now) {
+    const audience = await this.getAudience(campaign.parlourId, campaign.audience, now);
+
+    const params = campaign.params || {};
+
+    for (const customer of audience) {
+      const recipientRef = this.recipients.doc(`${campaignId}_${customer.customerPhone}`);
+      const allowed = await consentService.canSend(campaign.parlourId, customer.customerPhone, 'campaign');
+
+      try {
+        await recipientRef.create({
+          campaignId,
+          parlourId: campaign.parlourId,
+          customerPhone: customer.customerPhone,
+          customerName: customer.customerName,
+          status: allowed ? 'queued' : 'opted_out',
+          jobId: null,
+          createdAt: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.code !== ALREADY_EXISTS) throw error;
+
+        // Handled by an earlier run, unless it stopped before queuing the message
+        const recipient = (await recipientRef.get()).data();
+        if (recipient.status !== 'queued' || recipient.jobId) continue;
+      }
+
+      if (!allowed) continue;
+
+      const jobId = await outboundQueue.enqueue(campaign.parlourId, 'sendTemplate', [
+        customer.customerPhone,
+        campaign.templateKey,
+        { ...params, customerName: customer.customerName || params.customerName },
+        campaign.locale || null,
+        // Broadcasts may only go out as the approved template, never as free-form text
+        { parlourId: campaign.parlourId, campaignId, kind: 'campaign', noFallback: true }
+      ], { campaignId });
+
+      await recipientRef.update({ jobId });
+    }
+
+    await this.collection.doc(campaignId).update({
+      status: 'sent',
+      sentAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Count how a campaign's messages are doing
+   * Messages are counted by their latest status, so a read message isn't
+   * also counted as delivered.
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<object>} - { recipients, optedOut, pending, sent, delivered, read, failed }
+   */
+  async getReport(campaignId) {
+    const [recipientSnapshot, messageSnapshot, deadSnapshot] = await Promise.all([
+      this.recipients.where('campaignId', '==', campaignId).get(),
+      db.collection('outboundMessages').where('campaignId', '==', campaignId).get(),
+      db.collection('outboundQueue')
+        .where('campaignId', '==', campaignId)
+        .where('status', '==', 'dead')
+        .get()
+    ]);
+
+    const report = {
+      recipients: recipientSnapshot.size,
+      optedOut: 0,
+      pending: 0,
+      sent: 0,
+      delivered: 0,
+      read: 0,
+      failed: deadSnapshot.size
+    };
+
+    recipientSnapshot.forEach(doc => {
+      if (doc.data().status === 'opted_out') {
+        report.optedOut++;
+      }
+    });
+
+    messageSnapshot.forEach(doc => {
+      const { status } = doc.data();
+
+      if (status === 'failed') {
+        report.failed++;
+      } else if (status === 'read' || status === 'delivered') {
+        report[status]++;
+      } else {
+        report.sent++;
+      }
+    });
+
+    report.pending = Math.max(
+      report.recipients - report.optedOut - messageSnapshot.size - deadSnapshot.size,
+      0
+    );
+
+    return report;
+  }
+}
+
+module.exports = new CampaignService();
@@ -0,0 +1,151 @@
+const { db, firebaseAdmin } = require('../utils/firebase');
+
+const OPT_OUT_KEYWORDS = ['stop', 'unsubscribe', 'opt out', 'optout'];
+const OPT_IN_KEYWORDS = ['start', 'subscribe', 'unstop', 'opt in', 'optin'];
+
+// Message kinds (outbound context.kind) a customer can opt out of.
+// Replies and messages about a booking the customer just made have other
+// kinds, or none, and always go out.
+const MARKETING_KINDS = ['campaign'];
+const NON_TRANSACTIONAL_KINDS = ['reminder', 'waitlist_offer', 'feedback'];
+
+// Parlour setting (businessProfile.optOutScope) for what an opt-out blocks
+const OPT_OUT_SCOPES = ['marketing', 'non_transactional'];
+
+// Error code thrown when a send is blocked by an opt-out
+const OPTED_OUT = 'OPTED_OUT';
+
+/**
+ * Service to record whether customers agree to be messaged by a parlour
+ * Consent lives in `messagingConsent`, one document per parlour and phone
+ * number, with every change kept in its history.
+ */
+class ConsentService {
+  constructor() {
+    this.collection = db.collection('messagingConsent');
+  }
+
+  /**
+   * Get the consent document reference for a customer
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number with or without "+"
+   * @returns {object} - Firestore document reference
+   */
+  getRef(parlourId, phone) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    return this.collection.doc(`${parlourId}_${formattedPhone}`);
+  }
+
+  /**
+   * Check if a message is an opt-out keyword like STOP
+   * @param {string} text - Message text
+   * @returns {boolean} - True for an opt-out keyword
+   */
+  isOptOutKeyword(text) {
+    return OPT_OUT_KEYWORDS.includes(text.trim().toLowerCase());
+  }
+
+  /**
+   * Check if a message is an opt-in keyword like START
+   * @param {string} text - Message text
+   * @returns {boolean} - True for an opt-in keyword
+   */
+  isOptInKeyword(text) {
+    return OPT_IN_KEYWORDS.includes(text.trim().toLowerCase());
+  }
+
+  /**
+   * Get a customer's consent record
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @returns {Promise<object|null>} - Consent data or null if never recorded
+   */
+  async getConsent(parlourId, phone) {
+    const consentDoc = await this.getRef(parlourId, phone).get();
+    return consentDoc.exists ? consentDoc.data() : null;
+  }
+
+  /**
+   * Record that a customer opted in or out
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {string} status - 'opted_in' or 'opted_out'
+   * @param {object} change - { source: 'whatsapp' | 'api', changedBy, keyword, note }
+   * @returns {Promise<object>} - { status, changed } where changed is false if the status was already set
+   */
+  async setConsent(parlourId, phone, status, change) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const consentRef = this.getRef(parlourId, formattedPhone);
+    const consentDoc = await consentRef.get();
+    const previous = consentDoc.exists ? consentDoc.data().status : null;
+    const now = new Date().toISOString();
+
+    await consentRef.set({
+      parlourId,
+      customerPhone: formattedPhone,
+      status,
+      updatedAt: now,
+      createdAt: consentDoc.exists ? consentDoc.data().createdAt : now,
+      history: firebaseAdmin.firestore.FieldValue.arrayUnion({
+        from: previous,
+        to: status,
+        source: change.source,
+        changedBy: change.changedBy || null,
+        keyword: change.keyword || null,
+        note: change.note || null,
+        at: now
+      })
+    }, { merge: true });
+
+    return { status, changed: previous !== status };
+  }
+
+  /**
+   * Check whether a message of the given kind may be sent to a customer
+   * Opted-out customers never get marketing; other proactive messages are
+   * blocked too when the parlour's optOutScope is 'non_transactional'.
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {string|null} kind - Outbound message kind
+   * @returns {Promise<boolean>} - True if the message may be sent
+   */
+  async canSend(parlourId, phone, kind) {
+    const isMarketing = MARKETING_KINDS.includes(kind);
+
+    if (!parlourId || !phone || (!isMarketing && !NON_TRANSACTIONAL_KINDS.includes(kind))) {
+      return true;
+    }
+
+    const consent = await this.getConsent(parlourId, phone);
+    if (!consent || consent.status !== 'opted_out') {
+      return true;
+    }
+
+    if (isMarketing) {
+      return false;
+    }
+
+    const profileDoc = await db.collection('businessProfiles').doc(parlourId).get();
+    const scope = profileDoc.exists ? profileDoc.data().optOutScope : null;
+    return scope !== 'non_transactional';
+  }
+
+  /**
+   * Throw if a message may not be sent to a customer
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {string|null} kind - Outbound message kind
+   * @returns {Promise<void>}
+   */
+  async assertCanSend(parlourId, phone, kind) {
+    if (!(await this.canSend(parlourId, phone, kind))) {
+      const error = new Error(`Customer ${phone} has opted out of ${kind} messages`);
+      error.code = OPTED_OUT;
+      throw error;
+    }
+  }
+}
+
+module.exports = new ConsentService();
+module.exports.OPTED_OUT = OPTED_OUT;
+module.exports.OPT_OUT_SCOPES = OPT_OUT_SCOPES;
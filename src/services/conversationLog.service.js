@@ -0,0 +1,199 @@
+const { db } = require('../utils/firebase');
+
+// Length of the last-message preview kept on each conversation
+const PREVIEW_LENGTH = 100;
+
+/**
+ * Pull the readable parts out of an inbound WhatsApp message
+ * @param {object} message - Message object from WhatsApp
+ * @returns {object} - { text, mediaId, replyId }
+ */
+function summarizeInbound(message) {
+  switch (message.type) {
+    case 'text':
+      return { text: message.text?.body || null };
+    case 'button':
+      return { text: message.button?.text || null, replyId: message.button?.payload || null };
+    case 'interactive': {
+      const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+      return { text: reply?.title || null, replyId: reply?.id || null };
+    }
+    case 'location': {
+      const location = message.location || {};
+      return { text: location.name || location.address || `${location.latitude}, ${location.longitude}` };
+    }
+    case 'image':
+    case 'audio':
+    case 'video':
+    case 'document':
+    case 'sticker':
+      return { text: message[message.type]?.caption || null, mediaId: message[message.type]?.id || null };
+    case 'contacts':
+      return { text: (message.contacts || []).map(contact => contact.name?.formatted_name).filter(Boolean).join(', ') || null };
+    default:
+      return { text: null };
+  }
+}
+
+/**
+ * Pull the readable parts out of an outbound message payload
+ * @param {object} payload - Payload sent to the WhatsApp API
+ * @returns {object} - { text, options, templateName, templateParameters }
+ */
+function summarizeOutbound(payload) {
+  if (payload.type === 'text') {
+    return { text: payload.text?.body || null };
+  }
+
+  if (payload.type === 'interactive') {
+    const { interactive } = payload;
+    const options = interactive.type === 'list'
+      ? (interactive.action?.sections || []).flatMap(section => section.rows.map(row => row.title))
+      : (interactive.action?.buttons || []).map(button => button.reply?.title);
+
+    return { text: interactive.body?.text || null, options };
+  }
+
+  if (payload.type === 'template') {
+    const body = (payload.template.components || []).find(component => component.type === 'body');
+    return {
+      text: null,
+      templateName: payload.template.name,
+      templateParameters: (body?.parameters || []).map(parameter => parameter.text)
+    };
+  }
+
+  return { text: null };
+}
+
+/**
+ * Service to keep the chat history between parlours and their customers
+ * Every inbound and outbound message is stored in `conversationMessages`;
+ * `conversations` holds one document per parlour and phone number with the
+ * latest message, for listing threads.
+ */
+class ConversationLogService {
+  constructor() {
+    this.collection = db.collection('conversationMessages');
+    this.threads = db.collection('conversations');
+  }
+
+  /**
+   * Get the conversation document reference for a customer
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number with or without "+"
+   * @returns {object} - Firestore document reference
+   */
+  getThreadRef(parlourId, phone) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    return this.threads.doc(`${parlourId}_${formattedPhone}`);
+  }
+
+  /**
+   * Store a message a customer sent
+   * @param {string} parlourId - Parlour ID
+   * @param {object} message - Message object from WhatsApp
+   * @returns {Promise<void>}
+   */
+  async logInbound(parlourId, message) {
+    const timestamp = message.timestamp
+      ? new Date(Number(message.timestamp) * 1000).toISOString()
+      : new Date().toISOString();
+
+    await this.save(parlourId, message.from, message.id, {
+      direction: 'inbound',
+      type: message.type,
+      ...summarizeInbound(message),
+      timestamp
+    });
+  }
+
+  /**
+   * Store a message sent to a customer
+   * @param {string} parlourId - Parlour ID
+   * @param {object} payload - Payload sent to the WhatsApp API
+   * @param {string} messageId - WhatsApp message id (wamid) returned by the API
+   * @param {object} context - Related records (appointmentId, kind)
+   * @returns {Promise<void>}
+   */
+  async logOutbound(parlourId, payload, messageId, context = {}) {
+    await this.save(parlourId, payload.to, messageId, {
+      direction: 'outbound',
+      type: payload.type,
+      ...summarizeOutbound(payload),
+      kind: context.kind || null,
+      appointmentId: context.appointmentId || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Write a message and move its conversation's latest-message fields forward
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {string} messageId - WhatsApp message id, used as the document id
+   * @param {object} message - Message fields
+   * @returns {Promise<void>}
+   */
+  async save(parlourId, phone, messageId, message) {
+    const customerPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const messageRef = messageId ? this.collection.doc(messageId) : this.collection.doc();
+
+    await messageRef.set({
+      parlourId,
+      customerPhone,
+      messageId: messageId || null,
+      text: null,
+      ...message
+    });
+
+    const preview = message.text || (message.templateName ? `[template: ${message.templateName}]` : `[${message.type}]`);
+
+    await this.getThreadRef(parlourId, customerPhone).set({
+      parlourId,
+      customerPhone,
+      lastMessageAt: message.timestamp,
+      lastMessageDirection: message.direction,
+      lastMessagePreview: preview.substring(0, PREVIEW_LENGTH),
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Get a page of a customer's messages, newest first
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {object} options - { limit, before } where before is the id of the last message already seen
+   * @returns {Promise<object|null>} - { messages, nextCursor } where nextCursor is null on the last page,
+   *   or null if the cursor isn't one of this customer's messages
+   */
+  async getMessages(parlourId, phone, { limit, before } = {}) {
+    const customerPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+    let query = this.collection
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', customerPhone)
+      .orderBy('timestamp', 'desc');
+
+    if (before) {
+      const cursorDoc = await this.collection.doc(before).get();
+      if (!cursorDoc.exists ||
+          cursorDoc.data().parlourId !== parlourId ||
+          cursorDoc.data().customerPhone !== customerPhone) {
+        return null;
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    // One extra message tells us whether there is another page
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+
+    return {
+      messages: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+      nextCursor: snapshot.size > limit ? docs[docs.length - 1].id : null
+    };
+  }
+}
+
+module.exports = new ConversationLogService();
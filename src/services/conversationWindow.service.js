@@ -0,0 +1,74 @@
+const { db } = require('../utils/firebase');
+
+// Meta only accepts free-form messages within 24 hours of the customer's last message
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Error codes thrown when free-form text can't be sent
+const WINDOW_CLOSED = 'WINDOW_CLOSED';
+const TEMPLATE_REQUIRED = 'TEMPLATE_REQUIRED';
+
+/**
+ * Service to track each customer's 24-hour customer service window
+ * The last inbound message time is kept per parlour and phone number in
+ * `conversationWindows`; outside the window only templates can be sent.
+ */
+class ConversationWindowService {
+  constructor() {
+    this.collection = db.collection('conversationWindows');
+  }
+
+  /**
+   * Get the window document reference for a customer
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number with or without "+"
+   * @returns {object} - Firestore document reference
+   */
+  getRef(parlourId, phone) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    return this.collection.doc(`${parlourId}_${formattedPhone}`);
+  }
+
+  /**
+   * Record a message received from a customer
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {Date} receivedAt - When the customer sent the message
+   * @returns {Promise<void>}
+   */
+  async recordInbound(parlourId, phone, receivedAt = new Date()) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+    await this.getRef(parlourId, formattedPhone).set({
+      parlourId,
+      customerPhone: formattedPhone,
+      lastInboundAt: receivedAt.toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Get when a customer last messaged a parlour
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @returns {Promise<string|null>} - ISO timestamp or null if they never have
+   */
+  async getLastInboundAt(parlourId, phone) {
+    const windowDoc = await this.getRef(parlourId, phone).get();
+    return windowDoc.exists ? windowDoc.data().lastInboundAt || null : null;
+  }
+
+  /**
+   * Check whether free-form messages can be sent to a customer
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} - True inside the 24-hour window
+   */
+  async isOpen(parlourId, phone, now = new Date()) {
+    const lastInboundAt = await this.getLastInboundAt(parlourId, phone);
+    return !!lastInboundAt && now.getTime() - new Date(lastInboundAt).getTime() < WINDOW_MS;
+  }
+}
+
+module.exports = new ConversationWindowService();
+module.exports.WINDOW_CLOSED = WINDOW_CLOSED;
+module.exports.TEMPLATE_REQUIRED = TEMPLATE_REQUIRED;
@@ -0,0 +1,234 @@
+const { db } = require('../utils/firebase');
+const availabilityService = require('./availability.service');
+const consentService = require('./consent.service');
+const outboundQueue = require('./outboundQueue.service');
+
+// gRPC status code Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+// Customers can answer a feedback request for a week
+const RATING_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// After rating, the customer's next message within this window is taken as a comment
+const COMMENT_WINDOW_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Service to collect ratings after appointments are completed
+ * Each completed appointment gets one document in `feedback`, keyed by
+ * appointment ID, holding the request and the customer's rating and comment
+ * along with the service and staff member they were for.
+ */
+class FeedbackService {
+  constructor() {
+    this.collection = db.collection('feedback');
+  }
+
+  /**
+   * Queue a rating request for a completed appointment
+   * Appointments that already had a request, and customers who opted out of
+   * feedback messages, are skipped.
+   * @param {string} parlourId - Parlour ID
+   * @param {string} appointmentId - Appointment ID
+   * @param {object} appointment - Appointment data
+   * @param {object} businessProfile - Business profile data
+   * @returns {Promise<boolean>} - True if a request was queued
+   */
+  async request(parlourId, appointmentId, appointment, businessProfile) {
+    if (!appointment.customerPhone ||
+        !(await consentService.canSend(parlourId, appointment.customerPhone, 'feedback'))) {
+      return false;
+    }
+
+    const staff = (businessProfile.staff || []).find(member => member.id === appointment.staffId);
+
+    try {
+      await this.collection.doc(appointmentId).create({
+        parlourId,
+        appointmentId,
+        customerPhone: appointment.customerPhone,
+        customerName: appointment.customerName || null,
+        serviceId: appointment.serviceId || null,
+        serviceName: appointment.serviceName || null,
+        staffId: appointment.staffId || null,
+        staffName: staff ? staff.name : null,
+        appointmentDate: availabilityService.normalizeDate(appointment.appointmentDate),
+        status: 'requested',
+        rating: null,
+        comment: null,
+        followedUp: false,
+        requestedAt: new Date().toISOString(),
+        ratedAt: null,
+        commentUntil: null
+      });
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        return false;
+      }
+      throw error;
+    }
+
+    try {
+      await outboundQueue.enqueue(parlourId, 'sendFeedbackRequest', [
+        appointment.customerPhone,
+        {
+          appointmentId,
+          parlourId,
+          customerName: appointment.customerName,
+          serviceName: appointment.serviceName,
+          businessName: businessProfile.businessName
+        }
+      ]);
+    } catch (error) {
+      // Without the message the request never went out, so a later attempt may make it again
+      await this.collection.doc(appointmentId).delete();
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Store a customer's rating
+   * @param {string} parlourId - Parlour ID
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} customerPhone - Phone number the rating came from
+   * @param {number} rating - Rating from 1 to 5
+   * @param {Date} now - Current time
+   * @returns {Promise<object>} - { notFound }, { alreadyRated, feedback }, { expired } or { rated, feedback }
+   */
+  async recordRating(parlourId, appointmentId, customerPhone, rating, now = new Date()) {
+    const feedbackRef = this.collection.doc(appointmentId);
+    const feedbackDoc = await feedbackRef.get();
+
+    if (!feedbackDoc.exists ||
+        feedbackDoc.data().parlourId !== parlourId ||
+        feedbackDoc.data().customerPhone !== customerPhone) {
+      return { notFound: true };
+    }
+
+    const feedback = feedbackDoc.data();
+
+    if (feedback.status !== 'requested') {
+      return { alreadyRated: true, feedback };
+    }
+
+    if (now.getTime() - new Date(feedback.requestedAt).getTime() > RATING_WINDOW_MS) {
+      return { expired: true };
+    }
+
+    const update = {
+      status: 'rated',
+      rating,
+      ratedAt: now.toISOString(),
+      commentUntil: new Date(now.getTime() + COMMENT_WINDOW_MS).toISOString()
+    };
+
+    await feedbackRef.update(update);
+    return { rated: true, feedback: { ...feedback, ...update } };
+  }
+
+  /**
+   * Find a customer's unanswered feedback request, the most recent first
+   * @param {string} parlourId - Parlour ID
+   * @param {string} customerPhone - Customer phone number
+   * @param {Date} now - Current time
+   * @returns {Promise<object|null>} - Feedback document snapshot or null
+   */
+  async findOpenRequest(parlourId, customerPhone, now = new Date()) {
+    const snapshot = await this.collection
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', customerPhone)
+      .where('status', '==', 'requested')
+      .where('requestedAt', '>', new Date(now.getTime() - RATING_WINDOW_MS).toISOString())
+      .orderBy('requestedAt', 'desc')
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  /**
+   * Find feedback a customer just rated and may still comment on
+   * @param {string} parlourId - Parlour ID
+   * @param {string} customerPhone - Customer phone number
+   * @param {Date} now - Current time
+   * @returns {Promise<object|null>} - Feedback document snapshot or null
+   */
+  async findAwaitingComment(parlourId, customerPhone, now = new Date()) {
+    const snapshot = await this.collection
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', customerPhone)
+      .where('status', '==', 'rated')
+      .where('commentUntil', '>', now.toISOString())
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  /**
+   * Store the comment a customer added to their rating
+   * @param {object} feedbackDoc - Feedback document snapshot
+   * @param {string|null} comment - Comment text, or null if the customer skipped it
+   * @returns {Promise<void>}
+   */
+  async recordComment(feedbackDoc, comment) {
+    await feedbackDoc.ref.update({
+      status: comment ? 'commented' : 'rated',
+      comment,
+      commentUntil: null,
+      commentedAt: comment ? new Date().toISOString() : null
+    });
+  }
+
+  /**
+   * Average ratings per service and per staff member
+   * @param {string} parlourId - Parlour ID
+   * @param {object} range - { from, to } appointment dates as YYYY-MM-DD (optional)
+   * @returns {Promise<object>} - { overall, services, staff } each with count and average
+   */
+  async getSummary(parlourId, { from, to } = {}) {
+    const snapshot = await this.collection
+      .where('parlourId', '==', parlourId)
+      .where('status', 'in', ['rated', 'commented'])
+      .get();
+
+    const overall = { count: 0, total: 0 };
+    const services = new Map();
+    const staff = new Map();
+
+    const add = (groups, id, name, rating) => {
+      const group = groups.get(id) || { id, name, count: 0, total: 0 };
+      group.count++;
+      group.total += rating;
+      groups.set(id, group);
+    };
+
+    snapshot.forEach(doc => {
+      const feedback = doc.data();
+
+      if (from && feedback.appointmentDate < from) return;
+      if (to && feedback.appointmentDate > to) return;
+
+      overall.count++;
+      overall.total += feedback.rating;
+      add(services, feedback.serviceId, feedback.serviceName, feedback.rating);
+      if (feedback.staffId) {
+        add(staff, feedback.staffId, feedback.staffName, feedback.rating);
+      }
+    });
+
+    const withAverage = ({ total, ...group }) => ({
+      ...group,
+      averageRating: group.count ? Math.round((total / group.count) * 100) / 100 : null
+    });
+
+    return {
+      overall: withAverage(overall),
+      services: [...services.values()].map(withAverage).sort((a, b) => b.count - a.count),
+      staff: [...staff.values()].map(withAverage).sort((a, b) => b.count - a.count)
+    };
+  }
+}
+
+module.exports = new FeedbackService();
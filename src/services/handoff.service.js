@@ -0,0 +1,157 @@
+const { db } = require('../utils/firebase');
+const conversationLog = require('./conversationLog.service');
+require('dotenv').config();
+
+const HANDOFF_KEYWORDS = [
+  'agent',
+  'human',
+  'talk to someone',
+  'speak to someone',
+  'talk to a person',
+  'speak to a person'
+];
+
+// Messages the bot didn't understand only count towards escalation within this window
+const UNRECOGNIZED_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Service to hand conversations from the bot to the parlour owner
+ * Handoff state lives on the customer's `conversations` document. While a
+ * handoff is active the bot stays quiet and the owner replies through the
+ * API, until they hand the conversation back.
+ */
+class HandoffService {
+  constructor() {
+    this.maxUnrecognized = parseInt(process.env.HANDOFF_AFTER_UNRECOGNIZED, 10) || 3;
+  }
+
+  /**
+   * Check if a message asks for a person, like "agent"
+   * @param {string} text - Message text
+   * @returns {boolean} - True for a handoff keyword
+   */
+  isHandoffKeyword(text) {
+    return HANDOFF_KEYWORDS.includes(text.trim().toLowerCase().replace(/[.!?]+$/, ''));
+  }
+
+  /**
+   * Check whether the owner has a conversation
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @returns {Promise<boolean>} - True while the bot is paused for this customer
+   */
+  async isActive(parlourId, phone) {
+    const threadDoc = await conversationLog.getThreadRef(parlourId, phone).get();
+    return threadDoc.exists && !!threadDoc.data().handoff?.active;
+  }
+
+  /**
+   * Pause the bot for a customer and hand the conversation to the owner
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {object} handoff - { reason: 'customer_request' | 'unrecognized' | 'owner_reply', startedBy }
+   * @returns {Promise<boolean>} - False if the owner already had the conversation
+   */
+  async start(parlourId, phone, { reason, startedBy }) {
+    const customerPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    const threadRef = conversationLog.getThreadRef(parlourId, customerPhone);
+
+    return db.runTransaction(async (transaction) => {
+      const threadDoc = await transaction.get(threadRef);
+
+      if (threadDoc.exists && threadDoc.data().handoff?.active) {
+        return false;
+      }
+
+      transaction.set(threadRef, {
+        parlourId,
+        customerPhone,
+        handoff: {
+          active: true,
+          reason,
+          startedBy,
+          startedAt: new Date().toISOString(),
+          endedBy: null,
+          endedAt: null
+        },
+        // Owners pick up conversations the customer or bot escalated from the inbox
+        needsAttention: reason !== 'owner_reply',
+        unrecognized: null,
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+
+      return true;
+    });
+  }
+
+  /**
+   * Give a conversation back to the bot
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {string} endedBy - User ID of the owner handing it back
+   * @returns {Promise<boolean>} - False if there was no active handoff
+   */
+  async end(parlourId, phone, endedBy) {
+    const threadRef = conversationLog.getThreadRef(parlourId, phone);
+
+    return db.runTransaction(async (transaction) => {
+      const threadDoc = await transaction.get(threadRef);
+
+      if (!threadDoc.exists || !threadDoc.data().handoff?.active) {
+        return false;
+      }
+
+      transaction.update(threadRef, {
+        handoff: {
+          ...threadDoc.data().handoff,
+          active: false,
+          endedBy,
+          endedAt: new Date().toISOString()
+        },
+        needsAttention: false,
+        updatedAt: new Date().toISOString()
+      });
+
+      return true;
+    });
+  }
+
+  /**
+   * Flag or clear a conversation in the owner's inbox
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {boolean} needsAttention - True when the customer is waiting on the owner
+   * @returns {Promise<void>}
+   */
+  async setNeedsAttention(parlourId, phone, needsAttention) {
+    await conversationLog.getThreadRef(parlourId, phone).set({
+      needsAttention,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Count a message the bot couldn't understand
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} - True once the customer should be handed to the owner
+   */
+  async recordUnrecognized(parlourId, phone, now = new Date()) {
+    const threadRef = conversationLog.getThreadRef(parlourId, phone);
+
+    return db.runTransaction(async (transaction) => {
+      const threadDoc = await transaction.get(threadRef);
+      const previous = threadDoc.exists ? threadDoc.data().unrecognized : null;
+
+      const unrecognized = previous && now.getTime() - new Date(previous.firstAt).getTime() < UNRECOGNIZED_WINDOW_MS
+        ? { count: previous.count + 1, firstAt: previous.firstAt }
+        : { count: 1, firstAt: now.toISOString() };
+
+      transaction.set(threadRef, { unrecognized }, { merge: true });
+      return unrecognized.count >= this.maxUnrecognized;
+    });
+  }
+}
+
+module.exports = new HandoffService();
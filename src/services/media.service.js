@@ -0,0 +1,51 @@
+const { firebaseAdmin } = require('../utils/firebase');
+require('dotenv').config();
+
+// File extensions for the media types WhatsApp sends
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr'
+};
+
+/**
+ * Service to store media received over WhatsApp in Firebase Storage
+ */
+class MediaService {
+  /**
+   * Get the storage bucket, created lazily so the app starts without one configured
+   * @returns {object} - Storage bucket
+   */
+  getBucket() {
+    return firebaseAdmin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET);
+  }
+
+  /**
+   * Save downloaded media for a parlour
+   * @param {string} parlourId - Parlour ID
+   * @param {string} folder - Folder under the parlour, e.g. "appointments/<id>"
+   * @param {string} mediaId - WhatsApp media id
+   * @param {object} media - { buffer, mimeType } from WhatsAppService.downloadMedia
+   * @returns {Promise<string>} - Storage path of the saved file
+   */
+  async storeMedia(parlourId, folder, mediaId, media) {
+    // WhatsApp sends e.g. "audio/ogg; codecs=opus"
+    const baseMimeType = (media.mimeType || '').split(';')[0].trim();
+    const extension = EXTENSIONS[baseMimeType] || 'bin';
+    const storagePath = `parlours/${parlourId}/${folder}/${mediaId}.${extension}`;
+
+    await this.getBucket().file(storagePath).save(media.buffer, {
+      contentType: media.mimeType,
+      resumable: false
+    });
+
+    return storagePath;
+  }
+}
+
+module.exports = new MediaService();
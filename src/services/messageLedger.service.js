@@ -0,0 +1,119 @@
+const { db } = require('../utils/firebase');
+require('dotenv').config();
+
+// A message left 'processing' this long is assumed lost with its process and may be claimed again
+const PROCESSING_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Service to remember which inbound WhatsApp messages were already handled
+ * Meta redelivers webhooks, so each message id is claimed exactly once. A
+ * claim stays 'processing' until the message is marked processed, so a
+ * redelivery after a crash mid-processing is handled rather than skipped.
+ */
+class MessageLedgerService {
+  constructor() {
+    this.collection = db.collection('processedMessages');
+    this.ttlHours = parseInt(process.env.PROCESSED_MESSAGE_TTL_HOURS, 10) || 72;
+    this.cleanupIntervalMs = 60 * 60 * 1000;
+    this.lastCleanupAt = 0;
+  }
+
+  /**
+   * Claim a message for processing
+   * @param {string} messageId - WhatsApp message id (wamid)
+   * @param {object} data - Extra fields to store with the claim
+   * @returns {Promise<boolean>} - True if this call claimed the message, false if it was seen before
+   */
+  async claimMessage(messageId, data = {}) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.ttlHours * 60 * 60 * 1000);
+    const messageRef = this.collection.doc(messageId);
+
+    this.scheduleCleanup();
+
+    return db.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+
+      if (messageDoc.exists) {
+        const entry = messageDoc.data();
+        const stale = entry.status === 'processing' &&
+          now.getTime() - new Date(entry.claimedAt).getTime() >= PROCESSING_LOCK_MS;
+
+        if (!stale) {
+          return false;
+        }
+      }
+
+      transaction.set(messageRef, {
+        ...data,
+        status: 'processing',
+        claimedAt: now.toISOString(),
+        processedAt: null,
+        expiresAt: expiresAt.toISOString()
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Record that a claimed message was handled, so redeliveries are skipped
+   * @param {string} messageId - WhatsApp message id (wamid)
+   * @returns {Promise<void>}
+   */
+  async markProcessed(messageId) {
+    await this.collection.doc(messageId).update({
+      status: 'done',
+      processedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Give up a claim so a redelivery of the message is processed
+   * @param {string} messageId - WhatsApp message id (wamid)
+   * @returns {Promise<void>}
+   */
+  async releaseMessage(messageId) {
+    await this.collection.doc(messageId).delete();
+  }
+
+  /**
+   * Run a cleanup in the background at most once per interval
+   */
+  scheduleCleanup() {
+    if (Date.now() - this.lastCleanupAt < this.cleanupIntervalMs) {
+      return;
+    }
+
+    this.lastCleanupAt = Date.now();
+    this.cleanupExpired().catch(error => {
+      console.error('Error cleaning up processed messages:', error);
+    });
+  }
+
+  /**
+   * Delete ledger entries past their expiry
+   * @param {number} limit - Maximum number of entries to delete in one pass
+   * @returns {Promise<number>} - Number of entries deleted
+   */
+  async cleanupExpired(limit = 500) {
+    const snapshot = await this.collection
+      .where('expiresAt', '<=', new Date().toISOString())
+      .limit(limit)
+      .get();
+
+    if (snapshot.empty) {
+      return 0;
+    }
+
+    const batch = db.batch();
+    snapshot.forEach(doc => {
+      batch.delete(doc.ref);
+    });
+    await batch.commit();
+
+    console.log(`Removed ${snapshot.size} expired processed message entries`);
+    return snapshot.size;
+  }
+}
+
+module.exports = new MessageLedgerService();
@@ -0,0 +1,200 @@
+const { db, firebaseAdmin } = require('../utils/firebase');
+
+// Delivery progresses in this order; late callbacks must not move a message backwards
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3
+};
+
+/**
+ * Service to track messages sent through the WhatsApp API
+ * Each message is stored under its wamid and updated from status webhooks
+ */
+class OutboundMessageService {
+  constructor() {
+    this.collection = db.collection('outboundMessages');
+  }
+
+  /**
+   * Record a message accepted by the WhatsApp API
+   * @param {string} messageId - WhatsApp message id (wamid) returned by the API
+   * @param {object} payload - Payload that was sent
+   * @param {object} context - Related records (appointmentId, parlourId, campaignId, jobId, kind)
+   * @returns {Promise<void>}
+   */
+  async recordSentMessage(messageId, payload, context = {}) {
+    const now = new Date().toISOString();
+    const messageRef = this.collection.doc(messageId);
+
+    // A status webhook can land before this write; its status is further along, so keep it
+    const stored = await db.runTransaction(async (transaction) => {
+      const messageDoc = await transaction.get(messageRef);
+      const message = messageDoc.exists ? messageDoc.data() : {};
+
+      const messageData = {
+        to: payload.to,
+        type: payload.type,
+        templateName: payload.template ? payload.template.name : null,
+        kind: context.kind || null,
+        appointmentId: context.appointmentId || null,
+        parlourId: context.parlourId || null,
+        campaignId: context.campaignId || null,
+        phoneNumberId: context.phoneNumberId || null,
+        jobId: context.jobId || null,
+        statusHistory: firebaseAdmin.firestore.FieldValue.arrayUnion({ status: 'accepted', timestamp: now }),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      if (!message.status) {
+        messageData.status = 'accepted';
+        messageData.error = null;
+      }
+
+      transaction.set(messageRef, messageData, { merge: true });
+      return message;
+    });
+
+    // An early status skipped the appointment because it wasn't linked yet, so show it now
+    if (context.appointmentId) {
+      await this.updateAppointmentNotification(context.appointmentId, {
+        messageId,
+        kind: context.kind || null,
+        status: stored.status || 'accepted',
+        error: stored.status ? stored.error || null : null
+      });
+    }
+  }
+
+  /**
+   * Record a send the WhatsApp API rejected outright
+   * @param {object} payload - Payload that was sent
+   * @param {object} context - Related records (appointmentId, parlourId, kind)
+   * @param {object} error - Error details from the API
+   * @returns {Promise<void>}
+   */
+  async recordFailedSend(payload, context = {}, error) {
+    if (!context.appointmentId) {
+      return;
+    }
+
+    await this.updateAppointmentNotification(context.appointmentId, {
+      messageId: null,
+      kind: context.kind || null,
+      status: 'failed',
+      error
+    });
+  }
+
+  /**
+   * Apply a status callback from the WhatsApp webhook
+   * @param {object} status - Status object from value.statuses
+   * @returns {Promise<void>}
+   */
+  async applyStatus(status) {
+    const messageRef = this.collection.doc(status.id);
+    const messageDoc = await messageRef.get();
+    const message = messageDoc.exists ? messageDoc.data() : {};
+
+    const timestamp = status.timestamp
+      ? new Date(Number(status.timestamp) * 1000).toISOString()
+      : new Date().toISOString();
+    const error = status.errors && status.errors.length
+      ? { code: status.errors[0].code, title: status.errors[0].title }
+      : null;
+
+    const updateData = {
+      statusHistory: firebaseAdmin.firestore.FieldValue.arrayUnion({
+        status: status.status,
+        timestamp
+      }),
+      updatedAt: new Date().toISOString()
+    };
+
+    const currentRank = STATUS_RANK[message.status];
+    const newRank = STATUS_RANK[status.status];
+
+    // Failures always win and stick; otherwise only move forward
+    if (status.status === 'failed' ||
+        (message.status !== 'failed' && (currentRank === undefined || newRank > currentRank))) {
+      updateData.status = status.status;
+      if (error) updateData.error = error;
+    }
+
+    if (!messageDoc.exists) {
+      // Messages sent before tracking existed still get their status recorded
+      updateData.to = status.recipient_id ? `+${status.recipient_id}` : null;
+      updateData.createdAt = timestamp;
+    }
+
+    await messageRef.set(updateData, { merge: true });
+
+    if (message.appointmentId && updateData.status) {
+      await this.updateAppointmentNotification(message.appointmentId, {
+        messageId: status.id,
+        kind: message.kind || null,
+        status: updateData.status,
+        error
+      });
+    }
+  }
+
+  /**
+   * Store the latest notification state on the appointment for owners to see
+   * @param {string} appointmentId - Appointment ID
+   * @param {object} notification - Notification fields
+   * @returns {Promise<void>}
+   */
+  async updateAppointmentNotification(appointmentId, notification) {
+    try {
+      await db.collection('appointments').doc(appointmentId).update({
+        lastNotification: {
+          ...notification,
+          updatedAt: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Error updating appointment notification status:', error);
+    }
+  }
+
+  /**
+   * Find the message an outbound queue job sent, if it got that far
+   * @param {string} jobId - Outbound queue job ID
+   * @returns {Promise<string|null>} - WhatsApp message id, or null if nothing was sent
+   */
+  async findMessageForJob(jobId) {
+    const snapshot = await this.collection
+      .where('jobId', '==', jobId)
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].id;
+  }
+
+  /**
+   * Get messages sent for an appointment
+   * @param {string} appointmentId - Appointment ID
+   * @returns {Promise<Array>} - Outbound message records, newest first
+   */
+  async getMessagesForAppointment(appointmentId) {
+    const snapshot = await this.collection
+      .where('appointmentId', '==', appointmentId)
+      .orderBy('createdAt', 'desc')
+      .get();
+
+    const messages = [];
+    snapshot.forEach(doc => {
+      messages.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return messages;
+  }
+}
+
+module.exports = new OutboundMessageService();
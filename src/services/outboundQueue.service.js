@@ -0,0 +1,419 @@
+const { db } = require('../utils/firebase');
+const whatsappService = require('./whatsapp.service');
+const whatsappAccounts = require('./whatsappAccount.service');
+const outboundMessageService = require('./outboundMessage.service');
+const consentService = require('./consent.service');
+const conversationWindow = require('./conversationWindow.service');
+const templateRegistry = require('./templateRegistry.service');
+require('dotenv').config();
+
+// WhatsAppService methods a queued job may call
+const QUEUEABLE_METHODS = [
+  'sendTextMessage',
+  'sendTemplate',
+  'sendNotification',
+  'sendAppointmentConfirmation',
+  'sendAppointmentReminder',
+  'sendAppointmentCancellation',
+  'sendFeedbackRequest'
+];
+
+// Errors that will fail the same way however often the send is retried
+const PERMANENT_ERROR_CODES = [
+  consentService.OPTED_OUT,
+  conversationWindow.WINDOW_CLOSED,
+  conversationWindow.TEMPLATE_REQUIRED,
+  templateRegistry.INVALID_TEMPLATE_PARAMS
+];
+
+// Graph API error codes for throttling, which come back as 400s but clear up on their own
+const RATE_LIMIT_API_CODES = [4, 80007, 130429, 131048, 131056];
+
+// A job left in 'sending' this long is assumed lost with its worker and picked up again
+const SEND_LOCK_MS = 2 * 60 * 1000;
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Find the HTTP error behind a send error
+ * The send helpers wrap Graph API errors, keeping the original as the cause.
+ * @param {Error} error - Error thrown by a send
+ * @returns {object|null} - { status, apiCode, blockedCode } or null for network errors
+ */
+function describeError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (PERMANENT_ERROR_CODES.includes(current.code)) {
+      return { blockedCode: current.code };
+    }
+
+    if (current.response) {
+      return {
+        status: current.response.status,
+        apiCode: current.response.data?.error?.code || null
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a failed send is worth trying again
+ * Network errors, 5xx, 429 and Meta throttling codes are; other 4xx and
+ * sends blocked by consent, the service window or bad parameters are not.
+ * @param {Error} error - Error thrown by a send
+ * @returns {boolean} - True if the send should be retried
+ */
+function isRetryable(error) {
+  const details = describeError(error);
+
+  if (!details) {
+    return true;
+  }
+
+  if (details.blockedCode) {
+    return false;
+  }
+
+  return details.status === 429 ||
+    details.status >= 500 ||
+    RATE_LIMIT_API_CODES.includes(details.apiCode);
+}
+
+/**
+ * Limit how many sends go out per key in a rolling second
+ */
+class RateLimiter {
+  /**
+   * @param {number} perSecond - Sends allowed per key each second
+   */
+  constructor(perSecond) {
+    this.perSecond = perSecond;
+    this.sent = new Map();
+  }
+
+  /**
+   * Get how long to wait before a key can send again
+   * @param {string} key - Phone number or account key
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - Milliseconds to wait, 0 if a send can go now
+   */
+  waitTime(key, now) {
+    const recent = (this.sent.get(key) || []).filter(sentAt => now - sentAt < 1000);
+    this.sent.set(key, recent);
+
+    return recent.length < this.perSecond ? 0 : recent[0] + 1000 - now;
+  }
+
+  /**
+   * Count a send against a key
+   * @param {string} key - Phone number or account key
+   * @param {number} now - Current time in milliseconds
+   */
+  record(key, now) {
+    this.sent.get(key).push(now);
+  }
+}
+
+/**
+ * Service to send WhatsApp messages in the background
+ * Jobs are stored in `outboundQueue` so API requests return without waiting
+ * on WhatsApp and sends survive restarts. The worker retries temporary
+ * failures with exponential backoff, keeps each sending number and account
+ * under OUTBOUND_RATE_PER_NUMBER and OUTBOUND_RATE_PER_ACCOUNT messages a
+ * second, and dead-letters jobs that can't succeed.
+ */
+class OutboundQueueService {
+  constructor() {
+    this.collection = db.collection('outboundQueue');
+    this.intervalMs = (parseInt(process.env.OUTBOUND_QUEUE_INTERVAL_SECONDS, 10) || 5) * 1000;
+    this.batchSize = parseInt(process.env.OUTBOUND_QUEUE_BATCH_SIZE, 10) || 50;
+    this.maxAttempts = parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 6;
+    this.backoffMs = (parseInt(process.env.OUTBOUND_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+    this.numberLimiter = new RateLimiter(parseInt(process.env.OUTBOUND_RATE_PER_NUMBER, 10) || 20);
+    this.accountLimiter = new RateLimiter(parseInt(process.env.OUTBOUND_RATE_PER_ACCOUNT, 10) || 50);
+    this.timer = null;
+    this.running = false;
+    this.pending = false;
+  }
+
+  /**
+   * Start sending queued messages on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`Outbound queue worker running every ${this.intervalMs / 1000} seconds`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+  }
+
+  /**
+   * Stop the interval started by start()
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one pass, or another one right after if a pass is still going
+   */
+  tick() {
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+
+    this.running = true;
+    this.pending = false;
+    this.processDueJobs()
+      .catch(error => {
+        console.error('Error processing outbound queue:', error);
+      })
+      .finally(() => {
+        this.running = false;
+        if (this.pending && this.timer) {
+          this.tick();
+        }
+      });
+  }
+
+  /**
+   * Queue a WhatsApp send
+   * When the worker runs in this process the job is picked up straight away.
+   * @param {string} parlourId - Parlour whose number sends the message
+   * @param {string} method - WhatsAppService method to call
+   * @param {Array} args - Arguments for the method; must be JSON-serializable
+   * @param {object} options - { campaignId } to find the job from its campaign
+   * @returns {Promise<string>} - Job ID
+   */
+  async enqueue(parlourId, method, args, options = {}) {
+    if (!QUEUEABLE_METHODS.includes(method)) {
+      throw new Error(`Can't queue WhatsApp method "${method}"`);
+    }
+
+    const now = new Date().toISOString();
+    const jobRef = await this.collection.add({
+      parlourId,
+      method,
+      args: JSON.parse(JSON.stringify(args)),
+      campaignId: options.campaignId || null,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      messageId: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    if (this.timer) {
+      this.tick();
+    }
+
+    return jobRef.id;
+  }
+
+  /**
+   * Send every job that is due
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of jobs attempted
+   */
+  async processDueJobs(now = new Date()) {
+    const snapshot = await this.collection
+      .where('status', 'in', ['queued', 'retrying', 'sending'])
+      .where('nextAttemptAt', '<=', now.toISOString())
+      .orderBy('nextAttemptAt', 'asc')
+      .limit(this.batchSize)
+      .get();
+
+    let attempted = 0;
+
+    for (const doc of snapshot.docs) {
+      try {
+        const job = await this.claim(doc.ref);
+        if (!job) continue;
+
+        attempted++;
+        await this.deliver(doc.ref, job);
+      } catch (error) {
+        console.error(`Error processing outbound job ${doc.id}:`, error);
+      }
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Mark a job as sending so no other worker picks it up
+   * @param {object} jobRef - Firestore document reference
+   * @returns {Promise<object|null>} - Job data with reclaimed set if its last send was lost, or null if it is no longer due
+   */
+  async claim(jobRef) {
+    return db.runTransaction(async (transaction) => {
+      const jobDoc = await transaction.get(jobRef);
+      const now = new Date();
+
+      if (!jobDoc.exists) {
+        return null;
+      }
+
+      const job = jobDoc.data();
+      if (!['queued', 'retrying', 'sending'].includes(job.status) || new Date(job.nextAttemptAt) > now) {
+        return null;
+      }
+
+      const update = {
+        status: 'sending',
+        attempts: job.attempts + 1,
+        nextAttemptAt: new Date(now.getTime() + SEND_LOCK_MS).toISOString(),
+        updatedAt: now.toISOString()
+      };
+
+      transaction.update(jobRef, update);
+      return { ...job, ...update, reclaimed: job.status === 'sending' };
+    });
+  }
+
+  /**
+   * Send a claimed job and record the outcome
+   * @param {object} jobRef - Firestore document reference
+   * @param {object} job - Claimed job data
+   * @returns {Promise<void>}
+   */
+  async deliver(jobRef, job) {
+    let messageId;
+
+    // A lost send may have gone out before its worker could mark it sent
+    if (job.reclaimed) {
+      messageId = await outboundMessageService.findMessageForJob(jobRef.id);
+    }
+
+    if (!messageId) {
+      try {
+        const client = await whatsappAccounts.getClient(job.parlourId);
+        await this.waitForCapacity(client, job.parlourId);
+
+        // Sends record the job ID with the message, which is how a lost send is found
+        const result = await whatsappService.runAsSender(
+          client,
+          () => client[job.method](...job.args),
+          job.parlourId,
+          jobRef.id
+        );
+        messageId = result?.messages?.[0]?.id || null;
+      } catch (error) {
+        await this.recordFailure(jobRef, job, error);
+        return;
+      }
+    }
+
+    await jobRef.update({
+      status: 'sent',
+      messageId,
+      lastError: null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Wait until the sending number and account are both under their rate limits
+   * Limits are counted per worker process.
+   * @param {object} client - WhatsApp service the job sends with
+   * @param {string} parlourId - Parlour ID
+   * @returns {Promise<void>}
+   */
+  async waitForCapacity(client, parlourId) {
+    const numberKey = client.phoneNumberId || 'unknown';
+    // Numbers without their own credentials share the platform account's limit
+    const accountKey = client.headers.Authorization === whatsappService.headers.Authorization ? 'platform' : parlourId;
+
+    for (;;) {
+      const now = Date.now();
+      const wait = Math.max(
+        this.numberLimiter.waitTime(numberKey, now),
+        this.accountLimiter.waitTime(accountKey, now)
+      );
+
+      if (wait <= 0) {
+        this.numberLimiter.record(numberKey, now);
+        this.accountLimiter.record(accountKey, now);
+        return;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Schedule a retry for a failed job, or dead-letter it
+   * @param {object} jobRef - Firestore document reference
+   * @param {object} job - Claimed job data
+   * @param {Error} error - Error thrown by the send
+   * @returns {Promise<void>}
+   */
+  async recordFailure(jobRef, job, error) {
+    const details = describeError(error);
+    const lastError = {
+      message: error.message,
+      code: details?.blockedCode || details?.apiCode || null,
+      status: details?.status || null,
+      at: new Date().toISOString()
+    };
+
+    if (!isRetryable(error) || job.attempts >= job.maxAttempts) {
+      console.error(`Outbound job ${jobRef.id} failed permanently after ${job.attempts} attempts:`, error.message);
+      await jobRef.update({
+        status: 'dead',
+        lastError,
+        updatedAt: new Date().toISOString()
+      });
+      return;
+    }
+
+    // Exponential backoff with jitter so throttled jobs don't all retry at once
+    const backoff = Math.min(this.backoffMs * 2 ** (job.attempts - 1), MAX_BACKOFF_MS);
+    const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+
+    await jobRef.update({
+      status: 'retrying',
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      lastError,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Put a dead-lettered job back in the queue
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} - False if there is no dead job with that ID
+   */
+  async retryDeadJob(jobId) {
+    const jobRef = this.collection.doc(jobId);
+    const jobDoc = await jobRef.get();
+
+    if (!jobDoc.exists || jobDoc.data().status !== 'dead') {
+      return false;
+    }
+
+    const now = new Date().toISOString();
+    await jobRef.update({
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: now,
+      updatedAt: now
+    });
+
+    if (this.timer) {
+      this.tick();
+    }
+
+    return true;
+  }
+}
+
+module.exports = new OutboundQueueService();
@@ -0,0 +1,74 @@
+const { db } = require('../utils/firebase');
+require('dotenv').config();
+
+/**
+ * Service to resolve which parlour owns a WhatsApp phone number id
+ * Lookups are cached in memory so inbound messages don't hit Firestore every time
+ */
+class ParlourDirectoryService {
+  constructor() {
+    this.cache = new Map();
+    this.ttlMs = (parseInt(process.env.PARLOUR_CACHE_TTL_SECONDS, 10) || 300) * 1000;
+  }
+
+  /**
+   * Find the parlour bound to a WhatsApp phone number id
+   * @param {string} phoneNumberId - WhatsApp phone number id from webhook metadata
+   * @returns {Promise<object|null>} - { parlourId, businessProfile } or null if unbound
+   */
+  async getParlourByPhoneNumberId(phoneNumberId) {
+    if (!phoneNumberId) {
+      return null;
+    }
+
+    const cached = this.cache.get(phoneNumberId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    let value = null;
+    const mappingDoc = await db.collection('whatsappNumbers').doc(phoneNumberId).get();
+
+    if (mappingDoc.exists) {
+      const { parlourId } = mappingDoc.data();
+      const profileDoc = await db.collection('businessProfiles').doc(parlourId).get();
+
+      if (profileDoc.exists) {
+        value = {
+          parlourId,
+          businessProfile: profileDoc.data()
+        };
+      }
+    }
+
+    // Unbound ids are cached too, so unknown numbers don't cause repeated reads
+    this.cache.set(phoneNumberId, {
+      value,
+      expiresAt: Date.now() + this.ttlMs
+    });
+
+    return value;
+  }
+
+  /**
+   * Drop cached entries for a phone number id
+   * @param {string} phoneNumberId - WhatsApp phone number id
+   */
+  invalidatePhoneNumberId(phoneNumberId) {
+    this.cache.delete(phoneNumberId);
+  }
+
+  /**
+   * Drop cached entries for a parlour, e.g. after its profile changes
+   * @param {string} parlourId - Parlour ID
+   */
+  invalidateParlour(parlourId) {
+    for (const [phoneNumberId, entry] of this.cache) {
+      if (entry.value && entry.value.parlourId === parlourId) {
+        this.cache.delete(phoneNumberId);
+      }
+    }
+  }
+}
+
+module.exports = new ParlourDirectoryService();
@@ -0,0 +1,278 @@
+const { db } = require('../utils/firebase');
+const whatsappAccounts = require('./whatsappAccount.service');
+const availabilityService = require('./availability.service');
+const consentService = require('./consent.service');
+require('dotenv').config();
+
+// gRPC status code Firestore returns when create() hits an existing document
+const ALREADY_EXISTS = 6;
+
+// Reminders can be set up to a week ahead
+const MAX_OFFSET_HOURS = 24 * 7;
+
+/**
+ * Parse a comma separated list of hours like "24,2"
+ * @param {string} value - Hours list
+ * @returns {Array<number>} - Positive offsets in hours
+ */
+function parseOffsets(value) {
+  return String(value || '')
+    .split(',')
+    .map(hours => parseFloat(hours))
+    .filter(hours => hours > 0);
+}
+
+/**
+ * Service to send appointment reminders ahead of upcoming appointments
+ * Each reminder is claimed in `appointmentReminders` before it is sent, so
+ * restarts and parallel workers never send the same reminder twice.
+ */
+class ReminderService {
+  constructor() {
+    this.collection = db.collection('appointmentReminders');
+    this.defaultOffsets = parseOffsets(process.env.REMINDER_OFFSETS_HOURS);
+    if (this.defaultOffsets.length === 0) {
+      this.defaultOffsets = [24, 2];
+    }
+    this.intervalMs = (parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start checking for due reminders on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    console.log(`Reminder scheduler running every ${this.intervalMs / 60000} minutes`);
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.tick();
+  }
+
+  /**
+   * Stop the interval started by start()
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one pass unless the previous one is still going
+   */
+  tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.sendDueReminders()
+      .catch(error => {
+        console.error('Error sending appointment reminders:', error);
+      })
+      .finally(() => {
+        this.running = false;
+      });
+  }
+
+  /**
+   * Get the reminder offsets for a parlour
+   * @param {object} businessProfile - Business profile data
+   * @returns {Array<number>} - Offsets in hours before the appointment, largest first
+   */
+  getOffsets(businessProfile) {
+    const offsets = Array.isArray(businessProfile.reminderOffsets)
+      ? businessProfile.reminderOffsets.filter(hours => hours > 0 && hours <= MAX_OFFSET_HOURS)
+      : this.defaultOffsets;
+
+    return [...offsets].sort((a, b) => b - a);
+  }
+
+  /**
+   * Get the start of an appointment as a Date
+   * @param {object} appointment - Appointment data
+   * @returns {Date|null} - Start time or null if the date or time can't be parsed
+   */
+  getStartTime(appointment) {
+    const date = availabilityService.normalizeDate(appointment.appointmentDate);
+    const minutes = availabilityService.parseTimeToMinutes(appointment.appointmentTime);
+
+    if (!date || minutes === null) {
+      return null;
+    }
+
+    const start = new Date(`${date}T00:00:00`);
+    start.setMinutes(minutes);
+    return start;
+  }
+
+  /**
+   * Send every reminder that is due
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const horizon = new Date(now.getTime() + MAX_OFFSET_HOURS * 60 * 60 * 1000);
+
+    const snapshot = await db.collection('appointments')
+      .where('status', 'in', ['scheduled', 'confirmed'])
+      .where('appointmentDate', '>=', availabilityService.toDateString(now))
+      .where('appointmentDate', '<=', `${availabilityService.toDateString(horizon)}\uf8ff`)
+      .get();
+
+    const profiles = new Map();
+    let sent = 0;
+
+    for (const doc of snapshot.docs) {
+      const appointment = doc.data();
+
+      if (!profiles.has(appointment.parlourId)) {
+        const profileDoc = await db.collection('businessProfiles').doc(appointment.parlourId).get();
+        profiles.set(appointment.parlourId, profileDoc.exists ? profileDoc.data() : null);
+      }
+
+      const businessProfile = profiles.get(appointment.parlourId);
+      if (!businessProfile) continue;
+
+      try {
+        if (await this.processAppointment(doc.id, appointment, businessProfile, now)) {
+          sent++;
+        }
+      } catch (error) {
+        console.error(`Error sending reminder for appointment ${doc.id}:`, error);
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`Sent ${sent} appointment reminders`);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send the due reminder for one appointment, if any
+   * When several offsets are due at once only the closest one is sent.
+   * @param {string} appointmentId - Appointment ID
+   * @param {object} appointment - Appointment data
+   * @param {object} businessProfile - Business profile data
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} - True if a reminder was sent
+   */
+  async processAppointment(appointmentId, appointment, businessProfile, now) {
+    const start = this.getStartTime(appointment);
+
+    if (!start || start <= now || !appointment.customerPhone) {
+      return false;
+    }
+
+    const due = this.getOffsets(businessProfile).filter(hours => {
+      const remindAt = start.getTime() - hours * 60 * 60 * 1000;
+      // Appointments booked after a reminder would have gone out don't get it
+      const bookedAt = new Date(appointment.createdAt || 0).getTime();
+      return remindAt <= now.getTime() && bookedAt <= remindAt;
+    });
+
+    if (due.length === 0) {
+      return false;
+    }
+
+    const closest = due[due.length - 1];
+    const skipped = due.slice(0, -1);
+
+    for (const hours of skipped) {
+      await this.claim(appointmentId, appointment, hours, 'skipped');
+    }
+
+    if (!(await consentService.canSend(appointment.parlourId, appointment.customerPhone, 'reminder'))) {
+      await this.claim(appointmentId, appointment, closest, 'opted_out');
+      return false;
+    }
+
+    if (!(await this.claim(appointmentId, appointment, closest, 'sending'))) {
+      return false;
+    }
+
+    const reminderRef = this.collection.doc(this.getReminderId(appointmentId, appointment, closest));
+
+    try {
+      const whatsapp = await whatsappAccounts.getClient(appointment.parlourId);
+      const response = await whatsapp.sendAppointmentReminderWithActions(appointment.customerPhone, {
+        appointmentId,
+        parlourId: appointment.parlourId,
+        customerName: appointment.customerName,
+        serviceName: appointment.serviceName,
+        date: appointment.appointmentDate,
+        time: appointment.appointmentTime,
+        status: appointment.status
+      });
+
+      await reminderRef.update({
+        status: 'sent',
+        messageId: response && response.messages ? response.messages[0].id : null,
+        sentAt: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      // Failed reminders stay claimed so a broken number isn't retried every pass
+      await reminderRef.update({
+        status: 'failed',
+        error: error.message,
+        sentAt: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the reminder document id
+   * The appointment's date and time are part of it, so a rescheduled
+   * appointment gets fresh reminders for its new slot.
+   * @param {string} appointmentId - Appointment ID
+   * @param {object} appointment - Appointment data
+   * @param {number} hours - Offset in hours
+   * @returns {string} - Reminder document id
+   */
+  getReminderId(appointmentId, appointment, hours) {
+    const minutes = availabilityService.parseTimeToMinutes(appointment.appointmentTime);
+    const date = availabilityService.normalizeDate(appointment.appointmentDate);
+    return `${appointmentId}_${date}_${minutes}_${hours}h`;
+  }
+
+  /**
+   * Claim a reminder so it is only handled once
+   * @param {string} appointmentId - Appointment ID
+   * @param {object} appointment - Appointment data
+   * @param {number} hours - Offset in hours
+   * @param {string} status - Initial status ('sending', 'skipped' or 'opted_out')
+   * @returns {Promise<boolean>} - True if this call claimed the reminder
+   */
+  async claim(appointmentId, appointment, hours, status) {
+    try {
+      await this.collection.doc(this.getReminderId(appointmentId, appointment, hours)).create({
+        appointmentId,
+        parlourId: appointment.parlourId,
+        customerPhone: appointment.customerPhone,
+        offsetHours: hours,
+        appointmentDate: appointment.appointmentDate,
+        appointmentTime: appointment.appointmentTime,
+        status,
+        messageId: null,
+        error: null,
+        createdAt: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      if (error.code === ALREADY_EXISTS) {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReminderService();
+module.exports.MAX_OFFSET_HOURS = MAX_OFFSET_HOURS;
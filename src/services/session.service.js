@@ -0,0 +1,99 @@
+const { db } = require('../utils/firebase');
+require('dotenv').config();
+
+/**
+ * Steps of the guided WhatsApp booking flow
+ */
+const SESSION_STEPS = {
+  SELECT_SERVICE: 'SELECT_SERVICE',
+  SELECT_DATE: 'SELECT_DATE',
+  SELECT_TIME: 'SELECT_TIME',
+  CONFIRM: 'CONFIRM'
+};
+
+/**
+ * Service to persist WhatsApp conversation sessions
+ * One session is kept per customer per parlour and expires after inactivity
+ */
+class SessionService {
+  constructor() {
+    this.collection = db.collection('conversationSessions');
+    this.ttlMinutes = parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30;
+  }
+
+  /**
+   * Build the session document id
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @returns {string} - Session document id
+   */
+  getSessionId(parlourId, phone) {
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+    return `${parlourId}_${formattedPhone}`;
+  }
+
+  /**
+   * Get the active session for a customer
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @returns {Promise<object|null>} - Session data or null if none is active
+   */
+  async getSession(parlourId, phone) {
+    const sessionRef = this.collection.doc(this.getSessionId(parlourId, phone));
+    const sessionDoc = await sessionRef.get();
+
+    if (!sessionDoc.exists) {
+      return null;
+    }
+
+    const session = sessionDoc.data();
+
+    // Expired sessions are removed lazily when they are read
+    if (new Date(session.expiresAt) <= new Date()) {
+      await sessionRef.delete();
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Create or update a session, extending its expiry
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @param {object} data - Session fields to merge
+   * @returns {Promise<object>} - Saved session fields
+   */
+  async saveSession(parlourId, phone, data) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.ttlMinutes * 60 * 1000);
+    const formattedPhone = phone.startsWith('+') ? phone : `+${phone}`;
+
+    const sessionData = {
+      parlourId,
+      customerPhone: formattedPhone,
+      ...data,
+      updatedAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    };
+
+    await this.collection
+      .doc(this.getSessionId(parlourId, phone))
+      .set(sessionData, { merge: true });
+
+    return sessionData;
+  }
+
+  /**
+   * Remove a customer's session
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phone - Customer phone number
+   * @returns {Promise<void>}
+   */
+  async clearSession(parlourId, phone) {
+    await this.collection.doc(this.getSessionId(parlourId, phone)).delete();
+  }
+}
+
+module.exports = new SessionService();
+module.exports.SESSION_STEPS = SESSION_STEPS;
@@ -0,0 +1,429 @@
+const { db } = require('../utils/firebase');
+require('dotenv').config();
+
+// Error code thrown when template parameters don't match the registry
+const INVALID_TEMPLATE_PARAMS = 'INVALID_TEMPLATE_PARAMS';
+
+// Meta's limit for a body parameter
+const MAX_PARAMETER_LENGTH = 1024;
+
+const TEMPLATE_CATEGORIES = ['utility', 'marketing', 'authentication'];
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(_[A-Z]{2})?$/;
+
+/**
+ * Templates the app sends, as approved in WhatsApp Manager
+ * Entries in `whatsappTemplates` with the same key replace these.
+ * Fallback text is sent when the template is rejected; {{name}} inserts a
+ * parameter and {{#name}}...{{/name}} keeps a section only when it is set.
+ */
+const DEFAULT_TEMPLATES = {
+  appointment_confirmation: {
+    name: 'appointment_confirmation',
+    category: 'utility',
+    languages: ['en'],
+    defaultLanguage: 'en',
+    parameters: [
+      { name: 'customerName' },
+      { name: 'serviceName' },
+      { name: 'date' },
+      { name: 'time' }
+    ],
+    fallbackText: `Hello {{customerName}}!
+
+Your appointment for {{serviceName}} has been confirmed for {{date}} at {{time}}.
+
+{{#referenceCode}}
+Your booking reference is {{referenceCode}}.
+
+{{/referenceCode}}
+We're looking forward to seeing you. If you need to reschedule, please reply to this message or call us.
+
+Thank you for choosing our services!`
+  },
+  appointment_reminder: {
+    name: 'appointment_reminder',
+    category: 'utility',
+    languages: ['en'],
+    defaultLanguage: 'en',
+    parameters: [
+      { name: 'customerName' },
+      { name: 'serviceName' },
+      { name: 'date' },
+      { name: 'time' }
+    ],
+    fallbackText: `Hi {{customerName}}!
+
+This is a reminder about your upcoming {{serviceName}} appointment on {{date}} at {{time}}.
+
+We're looking forward to seeing you! Reply with CONFIRM to confirm your appointment or RESCHEDULE if you need to change it.`
+  },
+  appointment_cancellation: {
+    name: 'appointment_cancellation',
+    category: 'utility',
+    languages: ['en'],
+    defaultLanguage: 'en',
+    parameters: [
+      { name: 'customerName' },
+      { name: 'serviceName' },
+      { name: 'date' },
+      { name: 'time' },
+      { name: 'businessPhone' }
+    ],
+    fallbackText: `Hello {{customerName}},
+
+We're sorry to inform you that your appointment for {{serviceName}} on {{date}} at {{time}} has been cancelled.
+
+Please contact us at {{businessPhone}} to reschedule or for any questions.
+
+We apologize for any inconvenience.`
+  },
+  welcome_message: {
+    name: 'welcome_message',
+    category: 'utility',
+    languages: ['en'],
+    defaultLanguage: 'en',
+    parameters: [
+      { name: 'businessName' }
+    ],
+    fallbackText: `Welcome to {{businessName}}!
+
+Thank you for connecting with us on WhatsApp. You can use this chat to:
+
+• Book new appointments
+• Reschedule existing appointments
+• Get information about our services
+• Check our working hours
+
+To book an appointment, simply message us in this format:
+"Book [service] on [date] [time]"
+
+Example: "Book Haircut on 15th May 2PM"
+
+Need assistance? Just reply to this message and we'll help you!`
+  },
+  booking_help: {
+    name: 'booking_help',
+    category: 'utility',
+    languages: ['en'],
+    defaultLanguage: 'en',
+    parameters: [
+      { name: 'businessName' },
+      { name: 'servicesList' },
+      { name: 'workingHours' }
+    ],
+    fallbackText: `Hello from {{businessName}}!
+
+To book an appointment with us, please send a message in this format:
+"Book [service name] on [date] [time]"
+
+For example: "Book Haircut on 10th May 3PM"
+
+Our available services are:
+{{servicesList}}
+
+Our working hours are:
+{{workingHours}}
+
+Need help? Reply HELP for assistance.`
+  },
+  service_availability: {
+    name: 'service_availability',
+    category: 'utility',
+    languages: ['en'],
+    defaultLanguage: 'en',
+    parameters: [
+      { name: 'customerName' },
+      { name: 'serviceName' },
+      { name: 'date' },
+      { name: 'availableSlots' }
+    ],
+    fallbackText: `Hello {{customerName}},
+
+We've checked the availability for {{serviceName}} on {{date}}.
+
+Available time slots:
+{{availableSlots}}
+
+To book, please reply with your preferred time.`
+  },
+  waitlist_offer: {
+    name: 'waitlist_offer',
+    category: 'utility',
+    languages: ['en'],
+    defaultLanguage: 'en',
+    parameters: [
+      { name: 'serviceName' },
+      { name: 'date' },
+      { name: 'time' },
+      { name: 'expiresInMinutes' }
+    ],
+    fallbackText: `Good news! A {{serviceName}} slot has opened up on {{date}} at {{time}}.
+
+Reply BOOK within {{expiresInMinutes}} minutes to take it.`
+  },
+  feedback_request: {
+    name: 'feedback_request',
+    category: 'marketing',
+    languages: ['en'],
+    defaultLanguage: 'en',
+    parameters: [
+      { name: 'customerName' },
+      { name: 'serviceName' },
+      { name: 'businessName' }
+    ],
+    fallbackText: `Hi {{customerName}}!
+
+Thanks for visiting {{businessName}}. How was your {{serviceName}}?
+
+Reply with a number from 1 (very poor) to 5 (excellent).`
+  }
+};
+
+/**
+ * Service to look up WhatsApp templates by key
+ * Built-in templates can be overridden, and new ones added, through the
+ * admin API; lookups are cached in memory.
+ */
+class TemplateRegistryService {
+  constructor() {
+    this.collection = db.collection('whatsappTemplates');
+    this.cache = new Map();
+    this.ttlMs = (parseInt(process.env.PARLOUR_CACHE_TTL_SECONDS, 10) || 300) * 1000;
+  }
+
+  /**
+   * Get a template definition
+   * @param {string} key - Template key
+   * @returns {Promise<object|null>} - Template definition with its key, or null if unknown
+   */
+  async getTemplate(key) {
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const templateDoc = await this.collection.doc(key).get();
+    let value = null;
+
+    if (templateDoc.exists) {
+      value = { key, source: 'registry', ...templateDoc.data() };
+    } else if (DEFAULT_TEMPLATES[key]) {
+      value = { key, source: 'default', ...DEFAULT_TEMPLATES[key] };
+    }
+
+    this.cache.set(key, {
+      value,
+      expiresAt: Date.now() + this.ttlMs
+    });
+
+    return value;
+  }
+
+  /**
+   * List every template, registry entries replacing built-in ones
+   * @returns {Promise<Array<object>>} - Template definitions sorted by key
+   */
+  async listTemplates() {
+    const templates = new Map(
+      Object.entries(DEFAULT_TEMPLATES).map(([key, template]) => [key, { key, source: 'default', ...template }])
+    );
+
+    const snapshot = await this.collection.get();
+    snapshot.forEach(doc => {
+      templates.set(doc.id, { key: doc.id, source: 'registry', ...doc.data() });
+    });
+
+    return [...templates.values()].sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Create or replace a template in the registry
+   * @param {string} key - Template key
+   * @param {object} definition - Validated template definition
+   * @returns {Promise<object>} - Stored template
+   */
+  async saveTemplate(key, definition) {
+    const templateRef = this.collection.doc(key);
+    const templateDoc = await templateRef.get();
+    const now = new Date().toISOString();
+
+    const data = {
+      name: definition.name,
+      category: definition.category || 'utility',
+      languages: definition.languages,
+      defaultLanguage: definition.defaultLanguage || definition.languages[0],
+      parameters: definition.parameters.map(parameter => ({
+        name: parameter.name,
+        required: parameter.required !== false,
+        maxLength: parameter.maxLength || MAX_PARAMETER_LENGTH
+      })),
+      fallbackText: definition.fallbackText || null,
+      createdAt: templateDoc.exists ? templateDoc.data().createdAt : now,
+      updatedAt: now
+    };
+
+    await templateRef.set(data);
+    this.cache.delete(key);
+
+    return { key, source: 'registry', ...data };
+  }
+
+  /**
+   * Remove a template from the registry; built-in templates go back to their defaults
+   * @param {string} key - Template key
+   * @returns {Promise<boolean>} - False if the registry had no such template
+   */
+  async deleteTemplate(key) {
+    const templateRef = this.collection.doc(key);
+    const templateDoc = await templateRef.get();
+
+    if (!templateDoc.exists) {
+      return false;
+    }
+
+    await templateRef.delete();
+    this.cache.delete(key);
+    return true;
+  }
+
+  /**
+   * Check a template definition sent to the admin API
+   * @param {object} definition - Template definition
+   * @returns {string|null} - Error message, or null if the definition is valid
+   */
+  validateDefinition(definition) {
+    const { name, category, languages, defaultLanguage, parameters, fallbackText } = definition || {};
+
+    if (!name || !/^[a-z0-9_]+$/.test(name)) {
+      return 'Template name must use lowercase letters, numbers and underscores';
+    }
+
+    if (category && !TEMPLATE_CATEGORIES.includes(category)) {
+      return `Category must be one of: ${TEMPLATE_CATEGORIES.join(', ')}`;
+    }
+
+    if (!Array.isArray(languages) || languages.length === 0 ||
+        languages.some(language => typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+      return 'Languages must be a non-empty list of codes like "en" or "en_US"';
+    }
+
+    if (defaultLanguage && !languages.includes(defaultLanguage)) {
+      return 'Default language must be one of the template languages';
+    }
+
+    if (!Array.isArray(parameters)) {
+      return 'Parameters must be a list';
+    }
+
+    const names = new Set();
+    for (const parameter of parameters) {
+      if (!parameter || typeof parameter.name !== 'string' || !/^\w+$/.test(parameter.name)) {
+        return 'Each parameter needs a name made of letters, numbers and underscores';
+      }
+
+      if (names.has(parameter.name)) {
+        return `Parameter "${parameter.name}" is listed twice`;
+      }
+      names.add(parameter.name);
+
+      if (parameter.maxLength !== undefined &&
+          (!Number.isInteger(parameter.maxLength) || parameter.maxLength < 1 || parameter.maxLength > MAX_PARAMETER_LENGTH)) {
+        return `Parameter max length must be between 1 and ${MAX_PARAMETER_LENGTH}`;
+      }
+    }
+
+    if (fallbackText !== undefined && fallbackText !== null && typeof fallbackText !== 'string') {
+      return 'Fallback text must be a string';
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn named values into the template's ordered body parameters
+   * @param {object} template - Template definition
+   * @param {object} params - Parameter values by name
+   * @returns {Array<string>} - Parameter values in template order
+   * @throws {Error} - With code INVALID_TEMPLATE_PARAMS listing every problem
+   */
+  buildParameters(template, params = {}) {
+    const problems = [];
+
+    const values = template.parameters.map(parameter => {
+      const value = params[parameter.name];
+
+      if (value === undefined || value === null || value === '') {
+        if (parameter.required !== false) {
+          problems.push(`${parameter.name} is required`);
+        }
+        // Meta rejects empty parameters, so optional ones are sent as a dash
+        return '-';
+      }
+
+      const text = String(value);
+
+      if (text.length > (parameter.maxLength || MAX_PARAMETER_LENGTH)) {
+        problems.push(`${parameter.name} is longer than ${parameter.maxLength || MAX_PARAMETER_LENGTH} characters`);
+      }
+
+      // Meta rejects parameters with new lines, tabs or more than four spaces in a row
+      if (/[\n\t]| {5,}/.test(text)) {
+        problems.push(`${parameter.name} can't contain new lines, tabs or long runs of spaces`);
+      }
+
+      return text;
+    });
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid parameters for template ${template.key}: ${problems.join('; ')}`);
+      error.code = INVALID_TEMPLATE_PARAMS;
+      throw error;
+    }
+
+    return values;
+  }
+
+  /**
+   * Pick the template language for a locale
+   * "en_US" falls back to "en", and unknown locales to the template default.
+   * @param {object} template - Template definition
+   * @param {string|null} locale - Preferred language code
+   * @returns {string} - Language code to send
+   */
+  resolveLanguage(template, locale) {
+    if (locale) {
+      if (template.languages.includes(locale)) {
+        return locale;
+      }
+
+      const base = locale.split(/[_-]/)[0];
+      if (template.languages.includes(base)) {
+        return base;
+      }
+    }
+
+    return template.defaultLanguage || template.languages[0];
+  }
+
+  /**
+   * Fill in a template's fallback text
+   * @param {object} template - Template definition
+   * @param {object} params - Parameter values by name
+   * @returns {string|null} - Text to send, or null if the template has no fallback
+   */
+  renderFallback(template, params = {}) {
+    if (!template.fallbackText) {
+      return null;
+    }
+
+    const isSet = value => value !== undefined && value !== null && value !== '';
+
+    return template.fallbackText
+      .replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?/g, (match, name, section) => (isSet(params[name]) ? section : ''))
+      .replace(/\{\{(\w+)\}\}/g, (match, name) => (isSet(params[name]) ? String(params[name]) : ''));
+  }
+}
+
+module.exports = new TemplateRegistryService();
+module.exports.INVALID_TEMPLATE_PARAMS = INVALID_TEMPLATE_PARAMS;
+module.exports.LANGUAGE_PATTERN = LANGUAGE_PATTERN;
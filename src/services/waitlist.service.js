@@ -0,0 +1,360 @@
+const { db } = require('../utils/firebase');
+const whatsappAccounts = require('./whatsappAccount.service');
+const availabilityService = require('./availability.service');
+const bookingService = require('./booking.service');
+const consentService = require('./consent.service');
+require('dotenv').config();
+
+// How often expired offers are passed on to the next customer
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Service to queue customers for fully booked days
+ * When an appointment is cancelled, the freed slot is offered to the
+ * longest-waiting customer it suits. Offers expire after
+ * WAITLIST_OFFER_MINUTES and then move on to the next customer.
+ */
+class WaitlistService {
+  constructor() {
+    this.collection = db.collection('waitlist');
+    this.offerMs = (parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30) * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start passing on expired offers on an interval
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), SWEEP_INTERVAL_MS);
+    this.tick();
+  }
+
+  /**
+   * Stop the interval started by start()
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one sweep unless the previous one is still going
+   */
+  tick() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.expireOffers()
+      .catch(error => {
+        console.error('Error expiring waitlist offers:', error);
+      })
+      .finally(() => {
+        this.running = false;
+      });
+  }
+
+  /**
+   * Add a customer to the waitlist for a service on a day
+   * A customer already waiting for the same service and day keeps their place.
+   * @param {string} parlourId - Parlour ID
+   * @param {object} entry - { customerPhone, customerName, serviceId, serviceName, date, staffId, source }
+   * @returns {Promise<object>} - { id, created, ...entry data }
+   */
+  async join(parlourId, entry) {
+    const snapshot = await this.collection
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', entry.customerPhone)
+      .where('date', '==', entry.date)
+      .where('status', 'in', ['waiting', 'offered'])
+      .get();
+
+    const existing = snapshot.docs.find(doc => doc.data().serviceId === entry.serviceId);
+    if (existing) {
+      return { id: existing.id, created: false, ...existing.data() };
+    }
+
+    const now = new Date().toISOString();
+    const data = {
+      parlourId,
+      customerPhone: entry.customerPhone,
+      customerName: entry.customerName || null,
+      serviceId: entry.serviceId,
+      serviceName: entry.serviceName,
+      date: entry.date,
+      staffId: entry.staffId || null,
+      source: entry.source,
+      status: 'waiting',
+      offer: null,
+      appointmentId: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const entryRef = await this.collection.add(data);
+    return { id: entryRef.id, created: true, ...data };
+  }
+
+  /**
+   * Offer a freed slot to the first waiting customer it suits
+   * @param {string} parlourId - Parlour ID
+   * @param {object} slot - { appointmentDate, appointmentTime } of the cancelled appointment
+   * @param {Array<string>} skipEntryIds - Entries that already passed on this slot
+   * @returns {Promise<string|null>} - ID of the entry that got the offer, or null
+   */
+  async offerFreedSlot(parlourId, slot, skipEntryIds = []) {
+    const date = availabilityService.normalizeDate(slot.appointmentDate);
+    if (!date || date < availabilityService.toDateString(new Date())) {
+      return null;
+    }
+
+    const snapshot = await this.collection
+      .where('parlourId', '==', parlourId)
+      .where('date', '==', date)
+      .where('status', '==', 'waiting')
+      .orderBy('createdAt', 'asc')
+      .get();
+
+    if (snapshot.empty) {
+      return null;
+    }
+
+    const profileDoc = await db.collection('businessProfiles').doc(parlourId).get();
+    if (!profileDoc.exists) {
+      return null;
+    }
+    const businessProfile = profileDoc.data();
+
+    for (const doc of snapshot.docs) {
+      if (skipEntryIds.includes(doc.id)) continue;
+
+      const entry = doc.data();
+      const service = (businessProfile.services || []).find(s => s.id === entry.serviceId);
+      if (!service) continue;
+
+      if (!(await consentService.canSend(parlourId, entry.customerPhone, 'waitlist_offer'))) continue;
+
+      const free = await availabilityService.isTimeFree(parlourId, businessProfile, service, date, slot.appointmentTime, {
+        staffId: entry.staffId
+      });
+      if (!free) continue;
+
+      const offer = {
+        time: slot.appointmentTime,
+        expiresAt: new Date(Date.now() + this.offerMs).toISOString(),
+        passedOnBy: skipEntryIds
+      };
+
+      // Another cancellation may have offered this customer a slot meanwhile
+      const claimed = await db.runTransaction(async (transaction) => {
+        const current = await transaction.get(doc.ref);
+        if (!current.exists || current.data().status !== 'waiting') {
+          return false;
+        }
+
+        transaction.update(doc.ref, {
+          status: 'offered',
+          offer,
+          updatedAt: new Date().toISOString()
+        });
+        return true;
+      });
+
+      if (!claimed) continue;
+
+      try {
+        const whatsapp = await whatsappAccounts.getClient(parlourId);
+        await whatsapp.sendWaitlistOffer(entry.customerPhone, {
+          entryId: doc.id,
+          parlourId,
+          serviceName: entry.serviceName,
+          date,
+          time: offer.time,
+          expiresInMinutes: Math.round(this.offerMs / 60000)
+        });
+      } catch (error) {
+        // A customer we can't reach shouldn't hold the slot until the offer expires
+        console.error(`Error sending waitlist offer ${doc.id}:`, error);
+        await doc.ref.update({
+          status: 'waiting',
+          offer: null,
+          updatedAt: new Date().toISOString()
+        });
+        continue;
+      }
+
+      return doc.id;
+    }
+
+    return null;
+  }
+
+  /**
+   * Book the slot a customer was offered
+   * @param {string} parlourId - Parlour ID
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} customerPhone - Phone number the claim came from
+   * @param {object} businessProfile - Business profile data
+   * @returns {Promise<object>} - { notFound }, { alreadyBooked }, { expired }, { taken }
+   *   or { booked, appointmentId, referenceCode, entry }
+   */
+  async claimOffer(parlourId, entryId, customerPhone, businessProfile) {
+    const entryRef = this.collection.doc(entryId);
+    const entryDoc = await entryRef.get();
+
+    if (!entryDoc.exists ||
+        entryDoc.data().parlourId !== parlourId ||
+        entryDoc.data().customerPhone !== customerPhone) {
+      return { notFound: true };
+    }
+
+    const entry = entryDoc.data();
+
+    if (entry.status === 'booked') {
+      return { alreadyBooked: true, appointmentId: entry.appointmentId, entry };
+    }
+
+    if (entry.status !== 'offered' || !entry.offer) {
+      return { expired: true, entry };
+    }
+
+    if (new Date(entry.offer.expiresAt) <= new Date()) {
+      await this.passOn(entryDoc);
+      return { expired: true, entry };
+    }
+
+    const service = (businessProfile.services || []).find(s => s.id === entry.serviceId);
+    if (!service) {
+      return { taken: true, entry };
+    }
+
+    const now = new Date().toISOString();
+    const result = await bookingService.createAppointment(businessProfile, {
+      parlourId,
+      businessName: businessProfile.businessName,
+      customerName: entry.customerName || `WhatsApp Customer (${customerPhone})`,
+      customerPhone,
+      serviceId: service.id,
+      serviceName: service.name,
+      staffId: entry.staffId || null,
+      appointmentDate: entry.date,
+      appointmentTime: entry.offer.time,
+      duration: service.duration || 60,
+      price: service.price || 0,
+      status: 'scheduled',
+      createdAt: now,
+      updatedAt: now,
+      notes: 'Booked from the waitlist'
+    });
+
+    if (!result.appointmentId) {
+      // Someone booked the slot directly before the customer claimed it
+      await entryRef.update({
+        status: 'waiting',
+        offer: null,
+        updatedAt: new Date().toISOString()
+      });
+      return { taken: true, entry };
+    }
+
+    await entryRef.update({
+      status: 'booked',
+      appointmentId: result.appointmentId,
+      updatedAt: new Date().toISOString()
+    });
+
+    return { booked: true, ...result, entry };
+  }
+
+  /**
+   * Find the open offer a customer most recently got
+   * @param {string} parlourId - Parlour ID
+   * @param {string} customerPhone - Customer phone number
+   * @returns {Promise<object|null>} - Waitlist entry document snapshot or null
+   */
+  async findOpenOffer(parlourId, customerPhone) {
+    const snapshot = await this.collection
+      .where('parlourId', '==', parlourId)
+      .where('customerPhone', '==', customerPhone)
+      .where('status', '==', 'offered')
+      .get();
+
+    const offers = snapshot.docs.sort((a, b) =>
+      b.data().offer.expiresAt.localeCompare(a.data().offer.expiresAt)
+    );
+
+    return offers[0] || null;
+  }
+
+  /**
+   * Turn down an offer; the customer stays on the waitlist
+   * @param {string} parlourId - Parlour ID
+   * @param {string} entryId - Waitlist entry ID
+   * @param {string} customerPhone - Phone number the reply came from
+   * @returns {Promise<boolean>} - True if an open offer was declined
+   */
+  async declineOffer(parlourId, entryId, customerPhone) {
+    const entryDoc = await this.collection.doc(entryId).get();
+
+    if (!entryDoc.exists ||
+        entryDoc.data().parlourId !== parlourId ||
+        entryDoc.data().customerPhone !== customerPhone ||
+        entryDoc.data().status !== 'offered') {
+      return false;
+    }
+
+    await this.passOn(entryDoc);
+    return true;
+  }
+
+  /**
+   * Pass every expired offer on to the next customer in line
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} - Number of offers expired
+   */
+  async expireOffers(now = new Date()) {
+    const snapshot = await this.collection
+      .where('status', '==', 'offered')
+      .where('offer.expiresAt', '<=', now.toISOString())
+      .get();
+
+    for (const doc of snapshot.docs) {
+      try {
+        await this.passOn(doc);
+      } catch (error) {
+        console.error(`Error expiring waitlist offer ${doc.id}:`, error);
+      }
+    }
+
+    return snapshot.size;
+  }
+
+  /**
+   * Put an entry back to waiting and offer its slot to the next customer
+   * @param {object} entryDoc - Waitlist entry document snapshot with an open offer
+   * @returns {Promise<string|null>} - ID of the entry that got the offer next, or null
+   */
+  async passOn(entryDoc) {
+    const entry = entryDoc.data();
+
+    await entryDoc.ref.update({
+      status: 'waiting',
+      offer: null,
+      updatedAt: new Date().toISOString()
+    });
+
+    return this.offerFreedSlot(
+      entry.parlourId,
+      { appointmentDate: entry.date, appointmentTime: entry.offer.time },
+      [...(entry.offer.passedOnBy || []), entryDoc.id]
+    );
+  }
+}
+
+module.exports = new WaitlistService();
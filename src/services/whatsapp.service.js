@@ -1,26 +1,154 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const axios = require('axios');
+const { db } = require('../utils/firebase');
+const outboundMessageService = require('./outboundMessage.service');
+const conversationLog = require('./conversationLog.service');
+const consentService = require('./consent.service');
+const conversationWindow = require('./conversationWindow.service');
+const templateRegistry = require('./templateRegistry.service');
+const { WINDOW_CLOSED, TEMPLATE_REQUIRED } = conversationWindow;
 require('dotenv').config();
 
+// Sender and parlour for every message sent while handling one inbound webhook message
+const senderStorage = new AsyncLocalStorage();
+
+// Errors raised before a send is attempted, whose messages callers should see as-is
+const BLOCKED_SEND_CODES = [consentService.OPTED_OUT, WINDOW_CLOSED, TEMPLATE_REQUIRED];
+
 /**
  * Service to handle WhatsApp API interactions
  * Implements all message templates and API calls for GlowbookAPI
  */
 class WhatsAppService {
-  constructor() {
-    this.apiUrl = `https://graph.facebook.com/v17.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+  /**
+   * @param {object} config - Sender credentials, defaults to the platform number from env
+   * @param {string} config.phoneNumberId - WhatsApp phone number id to send from
+   * @param {string} config.accessToken - Graph API access token
+   * @param {string} config.apiVersion - Graph API version, e.g. "v17.0"
+   */
+  constructor(config = {}) {
+    this.phoneNumberId = config.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+    this.apiVersion = config.apiVersion || process.env.WHATSAPP_API_VERSION || 'v17.0';
+    this.apiUrl = `https://graph.facebook.com/${this.apiVersion}/${this.phoneNumberId}/messages`;
     this.headers = {
-      'Authorization': `Bearer ${process.env.WHATSAPP_API_TOKEN}`,
+      'Authorization': `Bearer ${config.accessToken || process.env.WHATSAPP_API_TOKEN}`,
       'Content-Type': 'application/json'
     };
   }
 
+  /**
+   * Run a callback with all sends inside it going out from the given sender
+   * @param {WhatsAppService} sender - Service instance holding the parlour's credentials
+   * @param {Function} callback - Callback to run
+   * @param {string|null} parlourId - Parlour whose conversation log the sends go in
+   * @param {string|null} jobId - Outbound queue job the sends belong to
+   * @returns {Promise<*>} - Result of the callback
+   */
+  runAsSender(sender, callback, parlourId = null, jobId = null) {
+    return senderStorage.run({ sender, parlourId, jobId }, callback);
+  }
+
+  /**
+   * Post a message payload to the WhatsApp API and record it for status tracking
+   * @param {object} payload - Message payload
+   * @param {object} context - Related records (appointmentId, parlourId, kind)
+   * @returns {Promise<object>} - Response from WhatsApp API
+   */
+  async postMessage(payload, context = {}) {
+    const store = senderStorage.getStore();
+    const sender = store?.sender || this;
+    let response;
+
+    // Customers who opted out only get the kinds of message their parlour still allows
+    await consentService.assertCanSend(context.parlourId, payload.to, context.kind);
+
+    // Meta rejects free-form messages outside the customer service window
+    if (payload.type !== 'template' && context.parlourId &&
+        !(await conversationWindow.isOpen(context.parlourId, payload.to))) {
+      const error = new Error(`Customer ${payload.to} hasn't messaged in the last 24 hours, so only templates can be sent`);
+      error.code = WINDOW_CLOSED;
+      throw error;
+    }
+
+    try {
+      response = await axios.post(sender.apiUrl, payload, { headers: sender.headers });
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+      outboundMessageService.recordFailedSend(payload, context, {
+        code: apiError?.code || null,
+        title: apiError?.message || error.message
+      }).catch(recordError => {
+        console.error('Error recording failed WhatsApp send:', recordError);
+      });
+      throw error;
+    }
+
+    const messageId = response.data?.messages?.[0]?.id;
+
+    if (messageId) {
+      try {
+        await outboundMessageService.recordSentMessage(messageId, payload, {
+          ...context,
+          phoneNumberId: sender.phoneNumberId,
+          jobId: store?.jobId
+        });
+      } catch (recordError) {
+        // The message went out, so don't report the send as failed
+        console.error('Error recording sent WhatsApp message:', recordError);
+      }
+
+      const parlourId = context.parlourId || store?.parlourId;
+      if (parlourId) {
+        try {
+          await conversationLog.logOutbound(parlourId, payload, messageId, context);
+        } catch (logError) {
+          console.error('Error logging WhatsApp message to the conversation:', logError);
+        }
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Download media a customer sent, using the current sender's credentials
+   * @param {string} mediaId - WhatsApp media id
+   * @returns {Promise<object>} - { buffer, mimeType, fileSize }
+   */
+  async downloadMedia(mediaId) {
+    const sender = senderStorage.getStore()?.sender || this;
+
+    try {
+      // The media endpoint returns a short-lived URL that needs the same token
+      const { data: media } = await axios.get(
+        `https://graph.facebook.com/${sender.apiVersion}/${mediaId}`,
+        { headers: sender.headers }
+      );
+
+      const file = await axios.get(media.url, {
+        headers: { 'Authorization': sender.headers['Authorization'] },
+        responseType: 'arraybuffer'
+      });
+
+      return {
+        buffer: Buffer.from(file.data),
+        mimeType: media.mime_type,
+        fileSize: media.file_size
+      };
+    } catch (error) {
+      console.error('Error downloading WhatsApp media:', error.response?.data || error.message);
+      throw new Error('Failed to download WhatsApp media');
+    }
+  }
+
   /**
    * Send a text message to a WhatsApp number
    * @param {string} to - Recipient's phone number with country code
    * @param {string} message - Text message to send
+   * @param {object} context - Related records for delivery tracking (optional)
    * @returns {Promise<object>} - Response from WhatsApp API
    */
-  async sendTextMessage(to, message) {
+  async sendTextMessage(to, message, context = {}) {
     try {
       const payload = {
         messaging_product: 'whatsapp',
@@ -32,85 +160,154 @@ class WhatsAppService {
         }
       };
 
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
+      const response = await this.postMessage(payload, context);
       console.log('WhatsApp message sent successfully:', response.data);
       return response.data;
     } catch (error) {
       console.error('Error sending WhatsApp message:', error.response?.data || error.message);
-      throw new Error('Failed to send WhatsApp message');
+      if (BLOCKED_SEND_CODES.includes(error.code)) {
+        throw error;
+      }
+      throw new Error('Failed to send WhatsApp message', { cause: error });
     }
   }
 
   /**
-   * Send appointment confirmation using template
+   * Send a template from the registry
+   * Parameters are checked against the template before anything is sent. If
+   * they don't fit, or Meta rejects the template, the template's fallback
+   * text is sent instead when it has one, unless context.noFallback is set.
    * @param {string} to - Recipient's phone number with country code
-   * @param {object} appointmentData - Appointment details
+   * @param {string} key - Template key in the registry
+   * @param {object} params - Parameter values by name
+   * @param {string|null} locale - Preferred language; defaults to the parlour's template language
+   * @param {object} context - Related records for delivery tracking, and noFallback (optional)
    * @returns {Promise<object>} - Response from WhatsApp API
    */
-  async sendAppointmentConfirmation(to, appointmentData) {
+  async sendTemplate(to, key, params, locale = null, context = {}) {
+    const template = await templateRegistry.getTemplate(key);
+
+    if (!template) {
+      const error = new Error(`No WhatsApp template is registered as "${key}"`);
+      error.code = TEMPLATE_REQUIRED;
+      throw error;
+    }
+
+    const fallbackText = context.noFallback ? null : templateRegistry.renderFallback(template, params);
+    let parameters;
+
     try {
-      const { customerName, serviceName, date, time } = appointmentData;
-      
-      // Format date for better readability
-      let formattedDate = this.formatDateForDisplay(date);
+      parameters = templateRegistry.buildParameters(template, params);
+    } catch (error) {
+      if (!fallbackText) {
+        throw error;
+      }
+      console.error(`${error.message}, sending fallback text instead`);
+      return await this.sendTextMessage(to, fallbackText, context);
+    }
 
-      const payload = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'template',
-        template: {
-          name: 'appointment_confirmation',
-          language: { code: 'en' },
-          components: [
-            {
-              type: 'body',
-              parameters: [
-                { type: 'text', text: customerName },
-                { type: 'text', text: serviceName },
-                { type: 'text', text: formattedDate },
-                { type: 'text', text: time }
-              ]
-            }
-          ]
-        }
-      };
+    const languageCode = templateRegistry.resolveLanguage(
+      template,
+      locale || await this.getTemplateLanguage(context.parlourId)
+    );
 
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
-      console.log('Appointment confirmation sent successfully:', response.data);
-      return response.data;
+    try {
+      return await this.sendTemplateMessage(to, template.name, parameters, context, languageCode);
     } catch (error) {
-      console.error('Error sending appointment confirmation:', error.response?.data || error.message);
-      
-      // Fallback to text message if template fails
-      try {
-        return await this.sendAppointmentConfirmationFallback(to, appointmentData);
-      } catch (fallbackError) {
-        console.error('Error sending fallback appointment confirmation:', fallbackError);
-        throw new Error('Failed to send appointment confirmation');
+      console.error(`Error sending template ${key}:`, error.response?.data || error.message);
+
+      if (!fallbackText || BLOCKED_SEND_CODES.includes(error.code)) {
+        throw error;
       }
+      return await this.sendTextMessage(to, fallbackText, context);
     }
   }
 
   /**
-   * Fallback text message for appointment confirmation
+   * Get the language a parlour wants templates sent in
+   * @param {string|null} parlourId - Parlour ID
+   * @returns {Promise<string|null>} - Language code, or null for the template default
+   */
+  async getTemplateLanguage(parlourId) {
+    if (!parlourId) {
+      return null;
+    }
+
+    const profileDoc = await db.collection('businessProfiles').doc(parlourId).get();
+    return profileDoc.exists ? profileDoc.data().templateLanguage || null : null;
+  }
+
+  /**
+   * Send an approved template with body parameters, without registry checks
    * @param {string} to - Recipient's phone number with country code
-   * @param {object} appointmentData - Appointment details
+   * @param {string} templateName - Approved template name
+   * @param {Array<string>} parameters - Body parameter values, in order
+   * @param {object} context - Related records for delivery tracking (optional)
+   * @param {string} languageCode - Template language code
    * @returns {Promise<object>} - Response from WhatsApp API
    */
-  async sendAppointmentConfirmationFallback(to, appointmentData) {
-    const { customerName, serviceName, date, time } = appointmentData;
-    let formattedDate = this.formatDateForDisplay(date);
-    
-    const message = `Hello ${customerName}! 
+  async sendTemplateMessage(to, templateName, parameters, context = {}, languageCode = 'en') {
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: to,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: { code: languageCode },
+        components: [
+          {
+            type: 'body',
+            parameters: parameters.map(text => ({ type: 'text', text: String(text) }))
+          }
+        ]
+      }
+    };
 
-Your appointment for ${serviceName} has been confirmed for ${formattedDate} at ${time}. 
+    const response = await this.postMessage(payload, context);
+    console.log(`Template ${templateName} sent successfully:`, response.data);
+    return response.data;
+  }
 
-We're looking forward to seeing you. If you need to reschedule, please reply to this message or call us.
+  /**
+   * Send free-form text inside the customer service window and a template outside it
+   * @param {string} to - Recipient's phone number with country code
+   * @param {string} message - Text to send inside the window
+   * @param {object|null} template - { key, params, locale } registry template to send outside the window
+   * @param {object} context - Related records; parlourId is needed to check the window
+   * @returns {Promise<object>} - Response from WhatsApp API
+   */
+  async sendNotification(to, message, template, context = {}) {
+    // Without a parlour there is no window to check; the send fails if Meta rejects it
+    if (!context.parlourId || await conversationWindow.isOpen(context.parlourId, to)) {
+      return this.sendTextMessage(to, message, context);
+    }
 
-Thank you for choosing our services!`;
-    
-    return await this.sendTextMessage(to, message);
+    if (!template) {
+      const error = new Error(`Customer ${to} hasn't messaged in the last 24 hours and no template is configured for ${context.kind || 'these'} messages`);
+      error.code = TEMPLATE_REQUIRED;
+      throw error;
+    }
+
+    return this.sendTemplate(to, template.key, template.params, template.locale || null, context);
+  }
+
+  /**
+   * Send appointment confirmation using template
+   * @param {string} to - Recipient's phone number with country code
+   * @param {object} appointmentData - Appointment details
+   * @returns {Promise<object>} - Response from WhatsApp API
+   */
+  async sendAppointmentConfirmation(to, appointmentData) {
+    const { customerName, serviceName, date, time, referenceCode } = appointmentData;
+
+    return await this.sendTemplate(
+      to,
+      'appointment_confirmation',
+      { customerName, serviceName, date: this.formatDateForDisplay(date), time, referenceCode },
+      appointmentData.locale || null,
+      this.getAppointmentContext(appointmentData, 'confirmation')
+    );
   }
 
   /**
@@ -120,142 +317,159 @@ Thank you for choosing our services!`;
    * @returns {Promise<object>} - Response from WhatsApp API
    */
   async sendAppointmentReminder(to, appointmentData) {
-    try {
-      const { customerName, serviceName, date, time } = appointmentData;
-      
-      // Format date for better readability
-      let formattedDate = this.formatDateForDisplay(date);
+    const { customerName, serviceName, date, time } = appointmentData;
 
-      const payload = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'template',
-        template: {
-          name: 'appointment_reminder',
-          language: { code: 'en' },
-          components: [
-            {
-              type: 'body',
-              parameters: [
-                { type: 'text', text: customerName },
-                { type: 'text', text: serviceName },
-                { type: 'text', text: formattedDate },
-                { type: 'text', text: time }
-              ]
-            }
-          ]
-        }
-      };
+    return await this.sendTemplate(
+      to,
+      'appointment_reminder',
+      { customerName, serviceName, date: this.formatDateForDisplay(date), time },
+      appointmentData.locale || null,
+      this.getAppointmentContext(appointmentData, 'reminder')
+    );
+  }
 
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
-      console.log('Appointment reminder sent successfully:', response.data);
-      return response.data;
+  /**
+   * Send appointment reminder with Confirm / Reschedule / Cancel reply buttons
+   * Buttons only reach customers who messaged in the last 24 hours, so the
+   * template reminder is sent outside that window or when the buttons are rejected.
+   * @param {string} to - Recipient's phone number with country code
+   * @param {object} appointmentData - Appointment details including appointmentId and status
+   * @returns {Promise<object>} - Response from WhatsApp API
+   */
+  async sendAppointmentReminderWithActions(to, appointmentData) {
+    const { appointmentId, customerName, serviceName, date, time, status } = appointmentData;
+    const formattedDate = this.formatDateForDisplay(date);
+
+    const buttons = [
+      { id: `RESCHEDULE_${appointmentId}`, title: 'Reschedule' },
+      { id: `CANCEL_${appointmentId}`, title: 'Cancel' }
+    ];
+    if (status !== 'confirmed') {
+      buttons.unshift({ id: `CONFIRM_${appointmentId}`, title: 'Confirm' });
+    }
+
+    if (appointmentData.parlourId && !(await conversationWindow.isOpen(appointmentData.parlourId, to))) {
+      return await this.sendAppointmentReminder(to, appointmentData);
+    }
+
+    try {
+      return await this.sendButtonMessage(
+        to,
+        `Hi ${customerName}! This is a reminder about your ${serviceName} appointment on ${formattedDate} at ${time}.`,
+        buttons,
+        'Appointment Reminder',
+        null,
+        this.getAppointmentContext(appointmentData, 'reminder')
+      );
     } catch (error) {
-      console.error('Error sending appointment reminder:', error.response?.data || error.message);
-      
-      // Fallback to text message if template fails
-      try {
-        return await this.sendAppointmentReminderFallback(to, appointmentData);
-      } catch (fallbackError) {
-        console.error('Error sending fallback appointment reminder:', fallbackError);
-        throw new Error('Failed to send appointment reminder');
-      }
+      console.error('Error sending reminder buttons, using template instead:', error.message);
+      return await this.sendAppointmentReminder(to, appointmentData);
     }
   }
 
   /**
-   * Fallback text message for appointment reminder
+   * Offer a freed slot to a waitlisted customer with Book / No thanks buttons
+   * Outside the 24-hour window the waitlist_offer template asks the customer
+   * to reply BOOK instead.
    * @param {string} to - Recipient's phone number with country code
-   * @param {object} appointmentData - Appointment details
+   * @param {object} offerData - { entryId, parlourId, serviceName, date, time, expiresInMinutes }
    * @returns {Promise<object>} - Response from WhatsApp API
    */
-  async sendAppointmentReminderFallback(to, appointmentData) {
-    const { customerName, serviceName, date, time } = appointmentData;
-    let formattedDate = this.formatDateForDisplay(date);
-    
-    const message = `Hi ${customerName}!
+  async sendWaitlistOffer(to, offerData) {
+    const { entryId, serviceName, date, time, expiresInMinutes } = offerData;
+    const formattedDate = this.formatDateForDisplay(date);
+    const context = { appointmentId: null, parlourId: offerData.parlourId || null, kind: 'waitlist_offer' };
 
-This is a reminder about your upcoming ${serviceName} appointment tomorrow, ${formattedDate} at ${time}.
+    if (offerData.parlourId && !(await conversationWindow.isOpen(offerData.parlourId, to))) {
+      return await this.sendTemplate(
+        to,
+        'waitlist_offer',
+        { serviceName, date: formattedDate, time, expiresInMinutes },
+        offerData.locale || null,
+        context
+      );
+    }
 
-We're looking forward to seeing you! Reply with CONFIRM to confirm your appointment or RESCHEDULE if you need to change it.`;
-    
-    return await this.sendTextMessage(to, message);
+    return await this.sendButtonMessage(
+      to,
+      `Good news! A ${serviceName} slot has opened up on ${formattedDate} at ${time}. Tap Book within ${expiresInMinutes} minutes to take it.`,
+      [
+        { id: `WAITLIST_CLAIM_${entryId}`, title: 'Book' },
+        { id: `WAITLIST_DECLINE_${entryId}`, title: 'No thanks' }
+      ],
+      'Slot Available',
+      null,
+      context
+    );
   }
 
   /**
-   * Send appointment cancellation using template
+   * Ask a customer to rate a completed appointment from 1 to 5
+   * Inside the 24-hour window the ratings are a list to pick from; otherwise
+   * the feedback template asks the customer to reply with a number.
    * @param {string} to - Recipient's phone number with country code
-   * @param {object} appointmentData - Appointment details
-   * @param {string} businessPhone - Business phone number
+   * @param {object} feedbackData - { appointmentId, parlourId, customerName, serviceName, businessName }
    * @returns {Promise<object>} - Response from WhatsApp API
    */
-  async sendAppointmentCancellation(to, appointmentData, businessPhone) {
-    try {
-      const { customerName, serviceName, date, time } = appointmentData;
-      
-      // Format date for better readability
-      let formattedDate = this.formatDateForDisplay(date);
+  async sendFeedbackRequest(to, feedbackData) {
+    const { appointmentId, customerName, serviceName, businessName } = feedbackData;
+    const context = this.getAppointmentContext(feedbackData, 'feedback');
+    const sendTemplate = () => this.sendTemplate(
+      to,
+      'feedback_request',
+      { customerName, serviceName, businessName },
+      feedbackData.locale || null,
+      context
+    );
+
+    if (feedbackData.parlourId && !(await conversationWindow.isOpen(feedbackData.parlourId, to))) {
+      return await sendTemplate();
+    }
 
-      const payload = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'template',
-        template: {
-          name: 'appointment_cancellation',
-          language: { code: 'en' },
-          components: [
-            {
-              type: 'body',
-              parameters: [
-                { type: 'text', text: customerName },
-                { type: 'text', text: serviceName },
-                { type: 'text', text: formattedDate },
-                { type: 'text', text: time },
-                { type: 'text', text: businessPhone }
-              ]
-            }
-          ]
-        }
-      };
+    const ratings = [
+      { rating: 5, title: '5 - Excellent' },
+      { rating: 4, title: '4 - Good' },
+      { rating: 3, title: '3 - Okay' },
+      { rating: 2, title: '2 - Poor' },
+      { rating: 1, title: '1 - Very poor' }
+    ];
 
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
-      console.log('Appointment cancellation sent successfully:', response.data);
-      return response.data;
+    try {
+      return await this.sendListMessage(
+        to,
+        `Hi ${customerName}! Thanks for visiting ${businessName}. How was your ${serviceName}?`,
+        'Rate your visit',
+        [{
+          title: 'Your rating',
+          rows: ratings.map(({ rating, title }) => ({ id: `FEEDBACK_${appointmentId}_${rating}`, title }))
+        }],
+        null,
+        null,
+        context
+      );
     } catch (error) {
-      console.error('Error sending appointment cancellation:', error.response?.data || error.message);
-      
-      // Fallback to text message if template fails
-      try {
-        return await this.sendAppointmentCancellationFallback(to, appointmentData, businessPhone);
-      } catch (fallbackError) {
-        console.error('Error sending fallback appointment cancellation:', fallbackError);
-        throw new Error('Failed to send appointment cancellation');
-      }
+      console.error('Error sending feedback list, using template instead:', error.message);
+      return await sendTemplate();
     }
   }
 
   /**
-   * Fallback text message for appointment cancellation
+   * Send appointment cancellation using template
    * @param {string} to - Recipient's phone number with country code
    * @param {object} appointmentData - Appointment details
    * @param {string} businessPhone - Business phone number
    * @returns {Promise<object>} - Response from WhatsApp API
    */
-  async sendAppointmentCancellationFallback(to, appointmentData, businessPhone) {
+  async sendAppointmentCancellation(to, appointmentData, businessPhone) {
     const { customerName, serviceName, date, time } = appointmentData;
-    let formattedDate = this.formatDateForDisplay(date);
-    
-    const message = `Hello ${customerName},
-
-We're sorry to inform you that your appointment for ${serviceName} on ${formattedDate} at ${time} has been cancelled.
 
-Please contact us at ${businessPhone} to reschedule or for any questions.
-
-We apologize for any inconvenience.`;
-    
-    return await this.sendTextMessage(to, message);
+    return await this.sendTemplate(
+      to,
+      'appointment_cancellation',
+      { customerName, serviceName, date: this.formatDateForDisplay(date), time, businessPhone },
+      appointmentData.locale || null,
+      this.getAppointmentContext(appointmentData, 'cancellation')
+    );
   }
 
   /**
@@ -265,51 +479,7 @@ We apologize for any inconvenience.`;
    * @returns {Promise<object>} - Response from WhatsApp API
    */
   async sendWelcomeMessage(to, businessName) {
-    try {
-      const payload = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'template',
-        template: {
-          name: 'welcome_message',
-          language: { code: 'en' },
-          components: [
-            {
-              type: 'body',
-              parameters: [
-                { type: 'text', text: businessName }
-              ]
-            }
-          ]
-        }
-      };
-
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
-      console.log('Welcome message sent successfully:', response.data);
-      return response.data;
-    } catch (error) {
-      console.error('Error sending welcome message:', error.response?.data || error.message);
-      
-      // Fallback to text message
-      const message = `Welcome to ${businessName}! 
-
-Thank you for connecting with us on WhatsApp. You can use this chat to:
-
-• Book new appointments
-• Reschedule existing appointments
-• Get information about our services
-• Check our working hours
-
-To book an appointment, simply message us in this format:
-"Book [service] on [date] [time]"
-
-Example: "Book Haircut on 15th May 2PM"
-
-Need assistance? Just reply to this message and we'll help you!`;
-      
-      return await this.sendTextMessage(to, message);
-    }
+    return await this.sendTemplate(to, 'welcome_message', { businessName });
   }
 
   /**
@@ -321,52 +491,7 @@ Need assistance? Just reply to this message and we'll help you!`;
    * @returns {Promise<object>} - Response from WhatsApp API
    */
   async sendBookingHelp(to, businessName, servicesList, workingHours) {
-    try {
-      const payload = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'template',
-        template: {
-          name: 'booking_help',
-          language: { code: 'en' },
-          components: [
-            {
-              type: 'body',
-              parameters: [
-                { type: 'text', text: businessName },
-                { type: 'text', text: servicesList },
-                { type: 'text', text: workingHours }
-              ]
-            }
-          ]
-        }
-      };
-
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
-      console.log('Booking help sent successfully:', response.data);
-      return response.data;
-    } catch (error) {
-      console.error('Error sending booking help:', error.response?.data || error.message);
-      
-      // Fallback to text message
-      const message = `Hello from ${businessName}!
-
-To book an appointment with us, please send a message in this format:
-"Book [service name] on [date] [time]"
-
-For example: "Book Haircut on 10th May 3PM"
-
-Our available services are:
-${servicesList}
-
-Our working hours are:
-${workingHours}
-
-Need help? Reply HELP for assistance.`;
-      
-      return await this.sendTextMessage(to, message);
-    }
+    return await this.sendTemplate(to, 'booking_help', { businessName, servicesList, workingHours });
   }
 
   /**
@@ -376,55 +501,14 @@ Need help? Reply HELP for assistance.`;
    * @returns {Promise<object>} - Response from WhatsApp API
    */
   async sendServiceAvailability(to, availabilityData) {
-    try {
-      const { customerName, serviceName, date, availableSlots } = availabilityData;
-      
-      // Format date for better readability
-      let formattedDate = this.formatDateForDisplay(date);
+    const { customerName, serviceName, date, availableSlots } = availabilityData;
 
-      const payload = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'template',
-        template: {
-          name: 'service_availability',
-          language: { code: 'en' },
-          components: [
-            {
-              type: 'body',
-              parameters: [
-                { type: 'text', text: customerName },
-                { type: 'text', text: serviceName },
-                { type: 'text', text: formattedDate },
-                { type: 'text', text: availableSlots }
-              ]
-            }
-          ]
-        }
-      };
-
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
-      console.log('Service availability sent successfully:', response.data);
-      return response.data;
-    } catch (error) {
-      console.error('Error sending service availability:', error.response?.data || error.message);
-      
-      // Fallback to text message
-      const { customerName, serviceName, date, availableSlots } = availabilityData;
-      let formattedDate = this.formatDateForDisplay(date);
-      
-      const message = `Hello ${customerName},
-
-We've checked the availability for ${serviceName} on ${formattedDate}.
-
-Available time slots:
-${availableSlots}
-
-To book, please reply with your preferred time.`;
-      
-      return await this.sendTextMessage(to, message);
-    }
+    return await this.sendTemplate(to, 'service_availability', {
+      customerName,
+      serviceName,
+      date: this.formatDateForDisplay(date),
+      availableSlots
+    });
   }
 
   /**
@@ -434,9 +518,10 @@ To book, please reply with your preferred time.`;
    * @param {Array} buttons - Array of button objects with id and title
    * @param {string} headerText - Header text (optional)
    * @param {string} footerText - Footer text (optional)
+   * @param {object} context - Related records for delivery tracking (optional)
    * @returns {Promise<object>} - Response from WhatsApp API
    */
-  async sendButtonMessage(to, bodyText, buttons, headerText = null, footerText = null) {
+  async sendButtonMessage(to, bodyText, buttons, headerText = null, footerText = null, context = {}) {
     try {
       // Ensure we don't exceed the limit of 3 buttons
       const buttonList = buttons.slice(0, 3);
@@ -478,12 +563,15 @@ To book, please reply with your preferred time.`;
         };
       }
 
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
+      const response = await this.postMessage(payload, context);
       console.log('WhatsApp button message sent successfully:', response.data);
       return response.data;
     } catch (error) {
       console.error('Error sending WhatsApp button message:', error.response?.data || error.message);
-      throw new Error('Failed to send WhatsApp button message');
+      if (BLOCKED_SEND_CODES.includes(error.code)) {
+        throw error;
+      }
+      throw new Error('Failed to send WhatsApp button message', { cause: error });
     }
   }
 
@@ -495,9 +583,10 @@ To book, please reply with your preferred time.`;
    * @param {Array} sections - Array of section objects with title and rows
    * @param {string} headerText - Header text (optional)
    * @param {string} footerText - Footer text (optional)
+   * @param {object} context - Related records for delivery tracking (optional)
    * @returns {Promise<object>} - Response from WhatsApp API
    */
-  async sendListMessage(to, bodyText, buttonText, sections, headerText = null, footerText = null) {
+  async sendListMessage(to, bodyText, buttonText, sections, headerText = null, footerText = null, context = {}) {
     try {
       const payload = {
         messaging_product: 'whatsapp',
@@ -531,12 +620,15 @@ To book, please reply with your preferred time.`;
         };
       }
 
-      const response = await axios.post(this.apiUrl, payload, { headers: this.headers });
+      const response = await this.postMessage(payload, context);
       console.log('WhatsApp list message sent successfully:', response.data);
       return response.data;
     } catch (error) {
       console.error('Error sending WhatsApp list message:', error.response?.data || error.message);
-      throw new Error('Failed to send WhatsApp list message');
+      if (BLOCKED_SEND_CODES.includes(error.code)) {
+        throw error;
+      }
+      throw new Error('Failed to send WhatsApp list message', { cause: error });
     }
   }
 
@@ -624,6 +716,115 @@ To book, please reply with your preferred time.`;
     return await this.sendTextMessage(to, message);
   }
 
+  /**
+   * Send a list of open days to pick a booking date from
+   * @param {string} to - Recipient's phone number with country code
+   * @param {string} serviceName - Selected service name
+   * @param {Array} days - Open days as { date, slots }, at most 10
+   * @returns {Promise<object>} - Response from WhatsApp API
+   */
+  async sendDateListInteractive(to, serviceName, days) {
+    const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+
+    try {
+      const sections = [{
+        title: 'Open Days',
+        rows: days.slice(0, 10).map(day => ({
+          id: `DATE_${day.date}`,
+          title: formatDay(day.date),
+          description: `${day.slots.length} free ${day.slots.length === 1 ? 'slot' : 'slots'}, from ${day.slots[0].time}`
+        }))
+      }];
+
+      return await this.sendListMessage(
+        to,
+        `You've selected: *${serviceName}*\n\nPick a day for your appointment:`,
+        'Choose Date',
+        sections,
+        null,
+        'Or reply with a date like "15th May"'
+      );
+    } catch (error) {
+      console.error('Error sending interactive date list:', error);
+
+      const dayList = days.map(day => `• ${formatDay(day.date)}`).join('\n');
+      return await this.sendTextMessage(
+        to,
+        `You've selected: *${serviceName}*\n\nThese days have free slots:\n${dayList}\n\nPlease reply with your preferred date, like "15th May".`
+      );
+    }
+  }
+
+  /**
+   * Send a list of free time slots for a day
+   * WhatsApp lists hold at most 10 rows, so longer days are sampled evenly
+   * and the customer can still type any other free time.
+   * @param {string} to - Recipient's phone number with country code
+   * @param {string} serviceName - Selected service name
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {Array} slots - Free slots from the availability service
+   * @returns {Promise<object>} - Response from WhatsApp API
+   */
+  async sendTimeSlotListInteractive(to, serviceName, date, slots) {
+    const formattedDate = this.formatDateForDisplay(date);
+
+    try {
+      let shown = slots;
+      if (slots.length > 10) {
+        shown = Array.from({ length: 10 }, (_, i) => slots[Math.round(i * (slots.length - 1) / 9)]);
+      }
+
+      const sections = [
+        { title: 'Morning', rows: [] },
+        { title: 'Afternoon', rows: [] },
+        { title: 'Evening', rows: [] }
+      ];
+
+      shown.forEach(slot => {
+        const section = slot.startMinutes < 12 * 60 ? 0 : slot.startMinutes < 17 * 60 ? 1 : 2;
+        sections[section].rows.push({
+          // The date travels with the time so a reply to an older list still books the right day
+          id: `TIME_${date}_${slot.time}`,
+          title: slot.time
+        });
+      });
+
+      return await this.sendListMessage(
+        to,
+        `Free times for *${serviceName}* on ${formattedDate}:`,
+        'Choose Time',
+        sections.filter(section => section.rows.length > 0),
+        null,
+        slots.length > shown.length ? 'Or reply with any other time' : null
+      );
+    } catch (error) {
+      console.error('Error sending interactive time list:', error);
+
+      return await this.sendTextMessage(
+        to,
+        `Free times for *${serviceName}* on ${formattedDate}:\n${slots.map(slot => slot.time).join(', ')}\n\nPlease reply with your preferred time.`
+      );
+    }
+  }
+
+  /**
+   * Build delivery tracking context from appointment data
+   * @param {object} appointmentData - Appointment details
+   * @param {string} kind - Kind of notification
+   * @returns {object} - Tracking context
+   */
+  getAppointmentContext(appointmentData, kind) {
+    return {
+      appointmentId: appointmentData.appointmentId || null,
+      parlourId: appointmentData.parlourId || null,
+      kind
+    };
+  }
+
   /**
    * Format working hours for message
    * @param {object} workingHours - Working hours object
@@ -1166,4 +1367,5 @@ You can type:
   }
 }
 
-module.exports = new WhatsAppService();
\ No newline at end of file
+module.exports = new WhatsAppService();
+module.exports.WhatsAppService = WhatsAppService;
\ No newline at end of file
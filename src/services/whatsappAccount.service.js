@@ -0,0 +1,126 @@
+const { db } = require('../utils/firebase');
+const { encrypt, decrypt } = require('../utils/encryption');
+const whatsappService = require('./whatsapp.service');
+const { WhatsAppService } = whatsappService;
+require('dotenv').config();
+
+/**
+ * Service to manage per-parlour WhatsApp Business credentials
+ * Tokens are encrypted and kept out of the business profile document,
+ * which is returned to the client as-is
+ */
+class WhatsAppAccountService {
+  constructor() {
+    this.collection = db.collection('whatsappCredentials');
+    this.clients = new Map();
+    this.ttlMs = (parseInt(process.env.PARLOUR_CACHE_TTL_SECONDS, 10) || 300) * 1000;
+  }
+
+  /**
+   * Store credentials for a parlour
+   * @param {string} parlourId - Parlour ID
+   * @param {object} credentials - { accessToken, apiVersion }
+   * @returns {Promise<object>} - Stored credential metadata (without the token)
+   */
+  async saveCredentials(parlourId, { accessToken, apiVersion }) {
+    const now = new Date().toISOString();
+    const credentialDoc = await this.collection.doc(parlourId).get();
+
+    const metadata = {
+      apiVersion: apiVersion || null,
+      tokenLastFour: accessToken.slice(-4),
+      updatedAt: now
+    };
+
+    await this.collection.doc(parlourId).set({
+      ...metadata,
+      accessToken: encrypt(accessToken),
+      createdAt: credentialDoc.exists ? credentialDoc.data().createdAt : now
+    });
+
+    this.invalidateParlour(parlourId);
+    return metadata;
+  }
+
+  /**
+   * Get credential metadata for a parlour, never including the token
+   * @param {string} parlourId - Parlour ID
+   * @returns {Promise<object|null>} - Credential metadata or null if none stored
+   */
+  async getCredentialMetadata(parlourId) {
+    const credentialDoc = await this.collection.doc(parlourId).get();
+
+    if (!credentialDoc.exists) {
+      return null;
+    }
+
+    const { accessToken, ...metadata } = credentialDoc.data();
+    return metadata;
+  }
+
+  /**
+   * Remove a parlour's credentials, falling back to the platform account
+   * @param {string} parlourId - Parlour ID
+   * @returns {Promise<void>}
+   */
+  async deleteCredentials(parlourId) {
+    await this.collection.doc(parlourId).delete();
+    this.invalidateParlour(parlourId);
+  }
+
+  /**
+   * Get a WhatsApp service that sends from the parlour's own number
+   * @param {string} parlourId - Parlour ID
+   * @param {string} phoneNumberId - Phone number id to send from; defaults to the one bound to the profile
+   * @returns {Promise<WhatsAppService>} - Parlour sender; without stored credentials the platform token is used with the same number
+   */
+  async getClient(parlourId, phoneNumberId = null) {
+    if (!phoneNumberId) {
+      const profileDoc = await db.collection('businessProfiles').doc(parlourId).get();
+      phoneNumberId = profileDoc.exists ? profileDoc.data().whatsappPhoneNumberId : null;
+    }
+
+    const cacheKey = `${parlourId}_${phoneNumberId}`;
+    const cached = this.clients.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.client;
+    }
+
+    let client = whatsappService;
+    const credentialDoc = await this.collection.doc(parlourId).get();
+
+    if (credentialDoc.exists && phoneNumberId) {
+      const credentials = credentialDoc.data();
+      client = new WhatsAppService({
+        phoneNumberId,
+        accessToken: decrypt(credentials.accessToken),
+        apiVersion: credentials.apiVersion
+      });
+    } else if (phoneNumberId && phoneNumberId !== whatsappService.phoneNumberId) {
+      // Numbers under the platform's own account still reply from the number the customer messaged
+      client = new WhatsAppService({ phoneNumberId });
+    }
+
+    this.clients.set(cacheKey, {
+      parlourId,
+      client,
+      expiresAt: Date.now() + this.ttlMs
+    });
+
+    return client;
+  }
+
+  /**
+   * Drop cached senders for a parlour
+   * @param {string} parlourId - Parlour ID
+   */
+  invalidateParlour(parlourId) {
+    for (const [cacheKey, entry] of this.clients) {
+      if (entry.parlourId === parlourId) {
+        this.clients.delete(cacheKey);
+      }
+    }
+  }
+}
+
+module.exports = new WhatsAppAccountService();
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Derive a 32-byte key from the configured secret
+const getKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} - "iv:authTag:cipherText", each part base64 encoded
+ */
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} encryptedText - Stored value
+ * @returns {string} - Decrypted value
+ */
+const decrypt = (encryptedText) => {
+  const [iv, authTag, encrypted] = encryptedText.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
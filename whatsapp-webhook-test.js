@@ -8,12 +8,25 @@
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // Configuration
 const WEBHOOK_URL = 'http://localhost:4000/api/webhook/whatsapp'; // Your local webhook URL
 const FROM_PHONE = '+919031285927'; // Test sender's phone number
 const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID || '15556453827'; // Your WhatsApp Phone Number ID
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET; // Must match the secret the server is running with
+
+// Sign a payload the same way Meta does (X-Hub-Signature-256)
+function signPayload(rawBody) {
+  if (!WHATSAPP_APP_SECRET) {
+    console.warn('WHATSAPP_APP_SECRET is not set, the webhook will reject this request');
+    return {};
+  }
+
+  const signature = crypto.createHmac('sha256', WHATSAPP_APP_SECRET).update(rawBody).digest('hex');
+  return { 'X-Hub-Signature-256': `sha256=${signature}` };
+}
 
 // Function to simulate a WhatsApp webhook call
 async function simulateWebhookCall(messageType, messageContent) {
@@ -38,7 +51,13 @@ async function simulateWebhookCall(messageType, messageContent) {
     
     // Make the POST request to your webhook
     console.log(`Sending ${messageType} message to webhook: "${messageContent}"`);
-    const response = await axios.post(WEBHOOK_URL, payload);
+    const rawBody = JSON.stringify(payload);
+    const response = await axios.post(WEBHOOK_URL, rawBody, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...signPayload(rawBody)
+      }
+    });
     
     console.log('Response status:', response.status);
     console.log('Response data:', response.data);
@@ -321,6 +340,9 @@ async function main() {
     await simulateWebhookCall('interactive', args[1]);
   } else if (args[0] === 'template') {
     await testTemplateMessage();  // Add this line
+  } else if (args[0] === 'secret') {
+    // Generate a local app secret to put in .env as WHATSAPP_APP_SECRET
+    console.log(crypto.randomBytes(32).toString('hex'));
   } else {
     console.log('Usage:');
     console.log('  node whatsapp-webhook-test.js                 # Run all tests');
@@ -329,6 +351,7 @@ async function main() {
     console.log('  node whatsapp-webhook-test.js button "id"     # Send button response');
     console.log('  node whatsapp-webhook-test.js interactive "type:id:title"  # Send interactive response');
     console.log('  node whatsapp-webhook-test.js template        # Test template message');  // Add this line
+    console.log('  node whatsapp-webhook-test.js secret          # Generate a local WHATSAPP_APP_SECRET');
   }
 }
 